@@ -0,0 +1,232 @@
+"""Local mock of the translator backend (contract v1, see frontend/contract.js).
+
+Serves deterministic fake transcripts and "translations" so the extension can be developed and
+exercised offline. Standard library only:
+
+    python backend/mock_server.py                       # http://localhost:8000
+    python backend/mock_server.py --latency 400 --fail-rate 0.2
+    python backend/mock_server.py --violate drop-line   # exercise the contract error path
+
+Endpoints: GET /health, GET /chunks, POST /translate, POST /translate/stream (NDJSON),
+POST /lookup, POST /feedback.
+"""
+
+import argparse
+import json
+import random
+import time
+from http.server import BaseHTTPRequestHandler, ThreadingHTTPServer
+from urllib.parse import parse_qs, urlparse
+
+CONTRACT_VERSION = 1
+LINE_SPACING_SEC = 2.5   # one fake caption line every 2.5 s
+LINE_DURATION_SEC = 2.2
+
+# Ways to break the contract on purpose (--violate)
+VIOLATIONS = {
+    "drop-line": "translate: omit the last line",
+    "duplicate-id": "translate: repeat the first line",
+    "bad-timing": "chunks: a line that ends before it starts",
+    "unsorted": "chunks: lines in reverse order",
+    "version": "all: answer with contract version 99",
+}
+
+
+def fake_lines(video_id, t, window):
+    """Lines starting inside [t - window/2, t + window/2), same bounds as content.js windowBounds()."""
+    start = max(0.0, t - window / 2)
+    end = t + window / 2
+    first = int(start // LINE_SPACING_SEC)
+    if first * LINE_SPACING_SEC < start:
+        first += 1
+    lines = []
+    n = first
+    while n * LINE_SPACING_SEC < end:
+        at = round(n * LINE_SPACING_SEC, 3)
+        lines.append({
+            "id": f"{video_id}:{n}",
+            "start": at,
+            "end": round(at + LINE_DURATION_SEC, 3),
+            "text": f"Line {n} of {video_id}",
+        })
+        n += 1
+    return lines
+
+
+def fake_translation(line, target, glossary):
+    text = line["text"]
+    for term in (glossary or {}).get("terms", []):
+        source, replacement = term.get("source"), term.get("target")
+        if source and replacement:
+            text = text.replace(source, replacement)
+    return {"id": line["id"], "text": f"[{target}] {text}"}
+
+
+def fake_lookup(word, sentence, source):
+    """Gloss plus the source words at the same relative position as `word` in `sentence`."""
+    words = sentence.split()
+    source_words = source.split()
+    phrase = ""
+    if word in words and source_words:
+        at = words.index(word) / max(1, len(words))
+        i = min(len(source_words) - 1, int(at * len(source_words)))
+        phrase = " ".join(source_words[i:i + 2])
+    return {"gloss": f"meaning of {word}", "sourcePhrase": phrase}
+
+
+class MockHandler(BaseHTTPRequestHandler):
+    server_version = "SSTMock/1"
+    options = None  # argparse namespace, set in main()
+
+    # ---------- plumbing ----------
+    def log_message(self, fmt, *args):
+        print(f"[mock] {self.address_string()} {fmt % args}")
+
+    def _send_json(self, status, payload):
+        body = json.dumps(payload).encode("utf-8")
+        self.send_response(status)
+        self._cors()
+        self.send_header("Content-Type", "application/json")
+        self.send_header("Content-Length", str(len(body)))
+        self.end_headers()
+        self.wfile.write(body)
+
+    def _cors(self):
+        self.send_header("Access-Control-Allow-Origin", "*")
+        self.send_header("Access-Control-Allow-Headers", "Authorization, Content-Type, X-SST-Contract")
+        self.send_header("Access-Control-Allow-Methods", "GET, POST, OPTIONS")
+
+    def _read_json(self):
+        length = int(self.headers.get("Content-Length") or 0)
+        try:
+            return json.loads(self.rfile.read(length) or b"{}")
+        except json.JSONDecodeError:
+            return None
+
+    def _simulate(self):
+        """Latency and random failures; returns False when a failure was sent."""
+        if self.options.latency:
+            time.sleep(self.options.latency / 1000)
+        if random.random() < self.options.fail_rate:
+            self._send_json(503, {"error": "mock failure (--fail-rate)"})
+            return False
+        return True
+
+    def _contract(self):
+        return 99 if self.options.violate == "version" else CONTRACT_VERSION
+
+    # ---------- routes ----------
+    def do_OPTIONS(self):
+        self.send_response(204)
+        self._cors()
+        self.end_headers()
+
+    def do_GET(self):
+        url = urlparse(self.path)
+        if url.path == "/health":
+            return self._send_json(200, {"status": "ok", "mock": True, "contract": CONTRACT_VERSION})
+        if url.path == "/chunks":
+            return self._chunks(parse_qs(url.query))
+        self._send_json(404, {"error": "not found"})
+
+    def do_POST(self):
+        path = urlparse(self.path).path
+        if path == "/translate":
+            return self._translate(stream=False)
+        if path == "/translate/stream":
+            return self._translate(stream=True)
+        if path == "/lookup":
+            return self._lookup()
+        if path == "/feedback":
+            body = self._read_json() or {}
+            print(f"[mock] feedback: {len(body.get('corrections', []))} corrections")
+            self.send_response(204)
+            self._cors()
+            self.end_headers()
+            return None
+        self._send_json(404, {"error": "not found"})
+
+    def _chunks(self, query):
+        video_id = (query.get("videoId") or [""])[0]
+        try:
+            t = float((query.get("t") or ["0"])[0])
+            window = float((query.get("window") or ["6"])[0])
+        except ValueError:
+            return self._send_json(400, {"error": "t and window must be numbers"})
+        if not video_id:
+            return self._send_json(400, {"error": "videoId is required"})
+        if not self._simulate():
+            return None
+        lines = fake_lines(video_id, t, window)
+        if self.options.violate == "bad-timing" and lines:
+            lines[0]["end"] = lines[0]["start"] - 1
+        if self.options.violate == "unsorted":
+            lines.reverse()
+        return self._send_json(200, {"contract": self._contract(), "lines": lines})
+
+    def _lookup(self):
+        body = self._read_json()
+        if not isinstance(body, dict) or not isinstance(body.get("word"), str) or not body["word"]:
+            return self._send_json(400, {"error": "body must be { word, sentence, source, ... }"})
+        if not self._simulate():
+            return None
+        out = fake_lookup(body["word"], str(body.get("sentence") or ""), str(body.get("source") or ""))
+        out["contract"] = self._contract()
+        return self._send_json(200, out)
+
+    def _translate(self, stream):
+        body = self._read_json()
+        if not isinstance(body, dict) or not isinstance(body.get("lines"), list):
+            return self._send_json(400, {"error": "body must be { lines: [...] }"})
+        if any("id" not in ln for ln in body["lines"]):
+            return self._send_json(400, {"error": "every line needs an id (contract v1)"})
+        if not self._simulate():
+            return None
+        target = body.get("target") or "en"
+        out = [fake_translation(ln, target, body.get("glossary")) for ln in body["lines"]]
+        if self.options.violate == "drop-line" and out:
+            out.pop()
+        if self.options.violate == "duplicate-id" and out:
+            out.append(dict(out[0]))
+        if not stream:
+            return self._send_json(200, {"contract": self._contract(), "lines": out})
+
+        self.send_response(200)
+        self._cors()
+        self.send_header("Content-Type", "application/x-ndjson")
+        self.end_headers()
+        for record in out:
+            time.sleep(self.options.stream_delay / 1000)
+            self.wfile.write((json.dumps(record) + "\n").encode("utf-8"))
+            self.wfile.flush()
+        return None
+
+
+def main():
+    parser = argparse.ArgumentParser(description="Mock translator backend (contract v1)")
+    parser.add_argument("--host", default="127.0.0.1")
+    parser.add_argument("--port", type=int, default=8000)
+    parser.add_argument("--latency", type=int, default=0, help="added delay per request, ms")
+    parser.add_argument("--stream-delay", type=int, default=80, help="delay between streamed lines, ms")
+    parser.add_argument("--fail-rate", type=float, default=0.0, help="share of requests answered with 503")
+    parser.add_argument("--violate", choices=sorted(VIOLATIONS), help="break the contract on purpose")
+    parser.add_argument("--seed", type=int, help="random seed for reproducible failures")
+    options = parser.parse_args()
+    if options.seed is not None:
+        random.seed(options.seed)
+
+    MockHandler.options = options
+    server = ThreadingHTTPServer((options.host, options.port), MockHandler)
+    note = f", violating: {VIOLATIONS[options.violate]}" if options.violate else ""
+    host, port = server.server_address[:2]  # --port 0 picks a free port (tests)
+    print(f"[mock] contract v{CONTRACT_VERSION} backend on http://{host}:{port}{note}", flush=True)
+    try:
+        server.serve_forever()
+    except KeyboardInterrupt:
+        pass
+    finally:
+        server.server_close()
+
+
+if __name__ == "__main__":
+    main()
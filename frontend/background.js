@@ -0,0 +1,843 @@
+/* background.js — Semantic Subtitle Translator (MV3 service worker)
+ * Responsibilities:
+ *  - Own all backend I/O: content scripts ask for /chunks and /translate via runtime messaging
+ *  - Deduplicate identical in-flight requests across tabs (ref-counted aborts)
+ *  - Persist translated lines in IndexedDB keyed by videoId + (pinned source →) language + hint
+ *  - Answer persistent-cache lookups so re-watching a video costs zero backend calls, and store
+ *    windows the content script finished itself (sentence-segmented translations)
+ *  - Relay streaming translations (NDJSON or SSE) line-by-line over a runtime port
+ *  - Store user corrections of translated lines and upload them to /feedback (queued until it works)
+ *  - Look up clicked words at /lookup and keep the vocabulary word list (exported as Anki CSV by the popup)
+ *  - Time out slow requests and tag failures with a kind (client/server/timeout/offline/network/contract)
+ *  - Speak backend contract v1 (contract.js): align translations to their input lines by id before
+ *    persisting them; responses that break the contract fail with kind 'contract'
+ *  - Register the content scripts on sites the user enabled from the popup (runtime host grants)
+ *  - Follow the log level chosen in the popup's diagnostics view (chrome.storage.sync)
+ *  - Migrate stored settings to the current schema (settings.js) on install/update
+ */
+
+importScripts('contract.js', 'settings.js'); // SST_CONTRACT, SST_SETTINGS
+
+// ========================= Utilities & constants =========================
+const BG = {
+  PREFIX: '[SST:bg]',
+  LOG_LEVEL: 'info',                  // default until the stored level (LOG_LEVEL_KEY) is read
+  LOG_LEVELS: ['debug', 'info', 'warn', 'error'],
+  LOG_LEVEL_KEY: 'sst_log_level',     // must match STORAGE_KEYS.logLevel in popup.js
+  BACKEND_BASE: 'http://localhost:8000', // default; overridden per request by `payload.backend`
+  HEALTH_TIMEOUT_MS: 5000,
+  REQUEST_TIMEOUT_MS: 20000,          // /chunks, /translate and time-to-headers for /translate/stream
+  DB_NAME: 'sst-cache',
+  DB_VERSION: 3,
+  STORES: { LINES: 'lines', WINDOWS: 'windows', CORRECTIONS: 'corrections', FEEDBACK: 'feedback', WORDS: 'words' },
+  FEEDBACK_BATCH: 50,
+  BACKEND_URL_KEY: 'sst_backend_url', // must match STORAGE_KEYS.backendUrl/apiKey in popup.js;
+  API_KEY_KEY: 'sst_api_key',         // read here for feedback uploads (SST_SETTINGS)
+  FEEDBACK_ALARM: 'sst-feedback-retry',
+  FEEDBACK_RETRY_MIN: 5,
+  PERSIST_TTL_MS: 30 * 24 * 60 * 60 * 1000, // 30 days
+  MSG: {
+    CHUNKS: 'SST_CHUNKS',
+    TRANSLATE: 'SST_TRANSLATE',
+    CACHE_LOOKUP: 'SST_CACHE_LOOKUP',
+    CACHE_STORE: 'SST_CACHE_STORE',
+    ABORT: 'SST_ABORT',
+    HEALTH: 'SST_HEALTH',
+    CORRECTION_SAVE: 'SST_CORRECTION_SAVE',
+    CORRECTIONS_GET: 'SST_CORRECTIONS_GET',
+    CORRECTIONS_EXPORT: 'SST_CORRECTIONS_EXPORT',
+    WORD_LOOKUP: 'SST_WORD_LOOKUP',
+    WORD_SAVE: 'SST_WORD_SAVE',
+    WORDS_EXPORT: 'SST_WORDS_EXPORT',
+    WORD_DELETE: 'SST_WORD_DELETE',
+    SITES_GET: 'SST_SITES_GET',
+    SITE_ENABLE: 'SST_SITE_ENABLE',
+    SITE_DISABLE: 'SST_SITE_DISABLE',
+    FRAME_CLAIM: 'SST_FRAME_CLAIM',
+    FRAME_GET: 'SST_FRAME_GET',
+  },
+  FRAME_KEY_PREFIX: 'sst_frame_',     // chrome.storage.session: frame owning a tab's player
+  SITES_KEY: 'sst_sites',             // chrome.storage.local: origins enabled from the popup
+  SITE_SCRIPT_ID: 'sst-sites',
+  STREAM_PORT: 'sst-stream',
+  STREAM_UNSUPPORTED: [404, 405, 501], // statuses that mean "no stream endpoint here"
+};
+
+const log = {
+  debug: (...args) => logEnabled('debug') && console.debug(BG.PREFIX, ...args),
+  info:  (...args) => logEnabled('info') && console.info(BG.PREFIX, ...args),
+  warn:  (...args) => logEnabled('warn') && console.warn(BG.PREFIX, ...args),
+  error: (...args) => logEnabled('error') && console.error(BG.PREFIX, ...args),
+};
+
+function logEnabled(level) {
+  return BG.LOG_LEVELS.indexOf(level) >= BG.LOG_LEVELS.indexOf(BG.LOG_LEVEL);
+}
+
+function applyLogLevel(level) {
+  if (BG.LOG_LEVELS.includes(level)) BG.LOG_LEVEL = level;
+}
+
+// FNV-1a; only used to keep free-text hints and glossaries out of IndexedDB keys.
+function hashString(str = '') {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(36);
+}
+
+function videoKey(videoId, lang, hint, glossary, source, backend) {
+  // A glossary or a pinned source language changes the translation, so both are part of the
+  // persisted identity; auto-detected sources are not (the lookup runs before detection).
+  // So does the backend that produced the lines: switching servers must not serve the old ones.
+  const steer = glossary ? `${hint || ''}\u0000${JSON.stringify(glossary)}` : (hint || '');
+  const pair = source && source !== 'auto' ? `${source}>${lang}` : lang;
+  return `${videoId}|${pair}|${hashString(steer)}|${hashString(backendConfig(backend).base)}`;
+}
+
+function sourceFor(source, detectedSource) {
+  // What /translate gets as `source`: the user's pick, else the content script's guess, else 'auto'
+  return source && source !== 'auto' ? source : (detectedSource || 'auto');
+}
+
+function translateBody(lines, source, target, hint, glossary) {
+  // `glossary` is omitted when empty so plain requests keep their dedup/persist keys
+  const body = { contract: SST_CONTRACT.VERSION, lines, source, target, hint };
+  return JSON.stringify(glossary ? { ...body, glossary } : body);
+}
+
+// ========================= IndexedDB persistence =========================
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(BG.DB_NAME, BG.DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(BG.STORES.LINES)) {
+        // one record per translated line: [videoKey, start] → { start, end, text }
+        db.createObjectStore(BG.STORES.LINES, { keyPath: ['vkey', 'start'] });
+      }
+      if (!db.objectStoreNames.contains(BG.STORES.WINDOWS)) {
+        // covered time ranges per videoKey, so silent stretches also count as hits
+        const ws = db.createObjectStore(BG.STORES.WINDOWS, { keyPath: ['vkey', 'from'] });
+        ws.createIndex('ts', 'ts');
+      }
+      if (!db.objectStoreNames.contains(BG.STORES.CORRECTIONS)) {
+        // user edits: [videoId|language, start] → { text, machine, source, … }; never expire
+        db.createObjectStore(BG.STORES.CORRECTIONS, { keyPath: ['ckey', 'start'] });
+      }
+      if (!db.objectStoreNames.contains(BG.STORES.FEEDBACK)) {
+        // corrections waiting to be POSTed to /feedback
+        db.createObjectStore(BG.STORES.FEEDBACK, { keyPath: 'id', autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains(BG.STORES.WORDS)) {
+        // vocabulary list: [language, word] → { gloss, sentence, videoId, start, … }; saving again updates it
+        db.createObjectStore(BG.STORES.WORDS, { keyPath: ['language', 'word'] });
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => { dbPromise = null; reject(req.error); };
+  });
+  return dbPromise;
+}
+
+function reqToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function txDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort = tx.onerror = () => reject(tx.error);
+  });
+}
+
+async function storeWindow({ videoId, language, hint, glossary, source, from, to, lines, backend }) {
+  // Windows the content script reshaped after translation (sentence segmentation, segmenter.js)
+  if (!videoId || typeof from !== 'number' || typeof to !== 'number') return false;
+  SST_CONTRACT.checkLines('cache', Array.isArray(lines) ? lines : []);
+  await persistWindow(videoKey(videoId, language, hint, glossary, source, backend), from, to, lines);
+  return true;
+}
+
+async function persistWindow(vkey, from, to, lines) {
+  const db = await openDb();
+  const tx = db.transaction([BG.STORES.LINES, BG.STORES.WINDOWS], 'readwrite');
+  const linesStore = tx.objectStore(BG.STORES.LINES);
+  for (const ln of lines) {
+    if (typeof ln?.start !== 'number') continue;
+    linesStore.put({ vkey, start: ln.start, end: ln.end, text: ln.text, source: ln.source });
+  }
+  tx.objectStore(BG.STORES.WINDOWS).put({ vkey, from, to, ts: Date.now() });
+  await txDone(tx);
+}
+
+async function lookupWindow(vkey, t) {
+  const db = await openDb();
+  const tx = db.transaction([BG.STORES.LINES, BG.STORES.WINDOWS], 'readonly');
+  const windows = await reqToPromise(
+    tx.objectStore(BG.STORES.WINDOWS).getAll(IDBKeyRange.bound([vkey, -Infinity], [vkey, t]))
+  );
+  const cutoff = Date.now() - BG.PERSIST_TTL_MS;
+  const cover = windows.find(w => w.from <= t && t < w.to && w.ts >= cutoff);
+  if (!cover) return null;
+  const lines = await reqToPromise(
+    tx.objectStore(BG.STORES.LINES).getAll(IDBKeyRange.bound([vkey, cover.from], [vkey, cover.to]))
+  );
+  return {
+    from: cover.from,
+    to: cover.to,
+    lines: lines.map(({ start, end, text, source }) => ({ start, end, text, source }))
+  };
+}
+
+async function pruneExpired() {
+  // Windows overlap (prefetch), so an expired window's lines go only when no live window of the
+  // same video still covers them; otherwise lookupWindow would serve the live one with holes
+  const db = await openDb();
+  const cutoff = Date.now() - BG.PERSIST_TTL_MS;
+  const tx = db.transaction([BG.STORES.LINES, BG.STORES.WINDOWS], 'readwrite');
+  const done = txDone(tx);
+  const linesStore = tx.objectStore(BG.STORES.LINES);
+  const windowsStore = tx.objectStore(BG.STORES.WINDOWS);
+  const expired = await reqToPromise(windowsStore.index('ts').getAll(IDBKeyRange.upperBound(cutoff)));
+  for (const vkey of new Set(expired.map(w => w.vkey))) {
+    const windows = await reqToPromise(windowsStore.getAll(IDBKeyRange.bound([vkey, -Infinity], [vkey, Infinity])));
+    const live = windows.filter(w => w.ts > cutoff);
+    const covered = (start) => live.some(w => w.from <= start && start <= w.to);
+    for (const w of windows.filter(w => w.ts <= cutoff)) {
+      const keys = await reqToPromise(linesStore.getAllKeys(IDBKeyRange.bound([vkey, w.from], [vkey, w.to])));
+      for (const key of keys) if (!covered(key[1])) linesStore.delete(key);
+      windowsStore.delete([vkey, w.from]);
+    }
+  }
+  await done;
+  if (expired.length) log.info('Pruned expired windows:', expired.length);
+}
+
+// ========================= Corrections & feedback =========================
+function correctionKey(videoId, language) {
+  // Not hint/glossary specific: a fixed line stays fixed whatever steered the machine translation
+  return `${videoId}|${language}`;
+}
+
+const publicCorrection = ({ videoId, language, start, end, text, machine, source, ts }) =>
+  ({ videoId, language, start, end, text, machine, source, ts });
+
+async function saveCorrection({ videoId, language, start, end, text, machine, source }) {
+  if (!videoId || !language || typeof start !== 'number') throw new Error('Correction needs videoId, language and start');
+  const ckey = correctionKey(videoId, language);
+  const record = { ckey, videoId, language, start, end, text: String(text || '').trim(), machine, source, ts: Date.now() };
+  const db = await openDb();
+  const tx = db.transaction([BG.STORES.CORRECTIONS, BG.STORES.FEEDBACK], 'readwrite');
+  // an empty text reverts to the machine translation
+  if (record.text) tx.objectStore(BG.STORES.CORRECTIONS).put(record);
+  else tx.objectStore(BG.STORES.CORRECTIONS).delete([ckey, start]);
+  if (record.text && record.text !== machine) tx.objectStore(BG.STORES.FEEDBACK).add(publicCorrection(record));
+  await txDone(tx);
+  retryFeedback();
+  return publicCorrection(record);
+}
+
+async function getCorrections({ videoId, language }) {
+  const db = await openDb();
+  const ckey = correctionKey(videoId, language);
+  const tx = db.transaction(BG.STORES.CORRECTIONS, 'readonly');
+  const rows = await reqToPromise(
+    tx.objectStore(BG.STORES.CORRECTIONS).getAll(IDBKeyRange.bound([ckey, -Infinity], [ckey, Infinity]))
+  );
+  return rows.map(publicCorrection);
+}
+
+async function exportCorrections() {
+  const db = await openDb();
+  const tx = db.transaction([BG.STORES.CORRECTIONS, BG.STORES.FEEDBACK], 'readonly');
+  const [rows, pending] = await Promise.all([
+    reqToPromise(tx.objectStore(BG.STORES.CORRECTIONS).getAll()),
+    reqToPromise(tx.objectStore(BG.STORES.FEEDBACK).count())
+  ]);
+  return { exportedAt: new Date().toISOString(), pendingUpload: pending, corrections: rows.map(publicCorrection) };
+}
+
+// The queue outlives the tab that filled it: uploads resume on worker startup and from an alarm,
+// not only when the next correction is saved. They go to the backend saved in the popup, never to
+// one a tab names, so a page can't have corrections (and the API key) sent elsewhere.
+async function feedbackBackend() {
+  const stored = await SST_SETTINGS.get({ [BG.BACKEND_URL_KEY]: '', [BG.API_KEY_KEY]: '' });
+  return { baseUrl: stored[BG.BACKEND_URL_KEY] || null, apiKey: stored[BG.API_KEY_KEY] || '' };
+}
+
+let feedbackFlush = null;
+
+function flushFeedback() {
+  // One upload loop at a time; items stay queued until the backend accepts them
+  if (!feedbackFlush) {
+    feedbackFlush = uploadFeedback()
+      .then(() => chrome.alarms.clear(BG.FEEDBACK_ALARM))
+      .catch((err) => {
+        chrome.alarms.create(BG.FEEDBACK_ALARM, { delayInMinutes: BG.FEEDBACK_RETRY_MIN });
+        throw err;
+      })
+      .finally(() => { feedbackFlush = null; });
+  }
+  return feedbackFlush;
+}
+
+function retryFeedback() {
+  flushFeedback().catch(e => log.debug('Feedback upload deferred', e?.message || e));
+}
+
+async function uploadFeedback() {
+  const cfg = backendConfig(await feedbackBackend());
+  const url = endpointUrl(cfg, 'feedback').toString();
+  const db = await openDb();
+  for (;;) {
+    const batch = await reqToPromise(
+      db.transaction(BG.STORES.FEEDBACK, 'readonly').objectStore(BG.STORES.FEEDBACK).getAll(null, BG.FEEDBACK_BATCH)
+    );
+    if (!batch.length) return;
+    await fetchJson(url, {
+      method: 'POST',
+      headers: { ...cfg.headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ corrections: batch.map(({ id, ...c }) => c) })
+    }, 'feedback');
+    const tx = db.transaction(BG.STORES.FEEDBACK, 'readwrite');
+    for (const item of batch) tx.objectStore(BG.STORES.FEEDBACK).delete(item.id);
+    await txDone(tx);
+    log.info('Uploaded corrections:', batch.length);
+  }
+}
+
+// ========================= Word list (vocabulary mode) =========================
+const publicWord = ({ word, language, sourceLanguage, gloss, sourcePhrase, sentence, sourceSentence, videoId, start, url, ts }) =>
+  ({ word, language, sourceLanguage, gloss, sourcePhrase, sentence, sourceSentence, videoId, start, url, ts });
+
+async function saveWord(payload) {
+  const record = publicWord({ ...payload, word: String(payload.word || '').trim(), ts: Date.now() });
+  if (!record.word || !record.language) throw new Error('Word needs word and language');
+  const db = await openDb();
+  const tx = db.transaction(BG.STORES.WORDS, 'readwrite');
+  tx.objectStore(BG.STORES.WORDS).put(record);
+  await txDone(tx);
+  return record;
+}
+
+async function deleteWord({ word, language }) {
+  if (!word || !language) throw new Error('Word needs word and language');
+  const db = await openDb();
+  const tx = db.transaction(BG.STORES.WORDS, 'readwrite');
+  tx.objectStore(BG.STORES.WORDS).delete([language, word]);
+  await txDone(tx);
+  return true;
+}
+
+async function exportWords() {
+  const db = await openDb();
+  const rows = await reqToPromise(db.transaction(BG.STORES.WORDS, 'readonly').objectStore(BG.STORES.WORDS).getAll());
+  rows.sort((a, b) => a.ts - b.ts);
+  return { exportedAt: new Date().toISOString(), words: rows.map(publicWord) };
+}
+
+// ========================= Backend I/O with in-flight dedup =========================
+const inflight = new Map();   // dedupKey -> { promise, ctrl, refs:Set<requestId> }
+const requests = new Map();   // requestId -> dedupKey
+
+function shared(dedupKey, requestId, run) {
+  let entry = inflight.get(dedupKey);
+  if (!entry) {
+    const ctrl = new AbortController();
+    entry = { ctrl, refs: new Set(), promise: null };
+    const created = entry;
+    entry.promise = run(ctrl.signal).finally(() => {
+      if (inflight.get(dedupKey) === created) inflight.delete(dedupKey);
+    });
+    inflight.set(dedupKey, entry);
+  } else {
+    log.debug('Joined in-flight request', dedupKey);
+  }
+  entry.refs.add(requestId);
+  requests.set(requestId, dedupKey);
+  return entry.promise.finally(() => requests.delete(requestId));
+}
+
+function release(requestId) {
+  const dedupKey = requests.get(requestId);
+  requests.delete(requestId);
+  const entry = dedupKey && inflight.get(dedupKey);
+  if (!entry) return;
+  entry.refs.delete(requestId);
+  if (entry.refs.size === 0) {
+    log.debug('Aborting unreferenced request', dedupKey);
+    try { entry.ctrl.abort(); } catch {}
+    inflight.delete(dedupKey);
+  }
+}
+
+function backendConfig(backend) {
+  // `backend` ({ baseUrl, apiKey }) comes from popup settings relayed by the caller
+  return {
+    base: backend?.baseUrl || BG.BACKEND_BASE,
+    // Part of in-flight dedup keys: tabs using different API keys never share a response
+    auth: hashString(backend?.apiKey || ''),
+    headers: {
+      [SST_CONTRACT.HEADER]: String(SST_CONTRACT.VERSION),
+      ...(backend?.apiKey ? { Authorization: `Bearer ${backend.apiKey}` } : {})
+    }
+  };
+}
+
+function endpointUrl(cfg, path) {
+  // Relative to the base, so a backend mounted under a path prefix (https://host/sst/) keeps it
+  const base = cfg.base.endsWith('/') ? cfg.base : `${cfg.base}/`;
+  return new URL(path, base);
+}
+
+function withTimeout(signal, ms = BG.REQUEST_TIMEOUT_MS) {
+  // Child signal that follows `signal` and also aborts (with a TimeoutError) after `ms`;
+  // clear() stops the timer only, so a stream body keeps honouring the parent's abort
+  const ctrl = new AbortController();
+  const onAbort = () => ctrl.abort(signal.reason);
+  if (signal?.aborted) onAbort();
+  else signal?.addEventListener('abort', onAbort, { once: true });
+  const timer = setTimeout(() => ctrl.abort(new DOMException(`No response within ${ms} ms`, 'TimeoutError')), ms);
+  return { signal: ctrl.signal, clear: () => clearTimeout(timer) };
+}
+
+function errorKind(err) {
+  // How content.js should react: 'client' won't fix itself, the rest are worth retrying later
+  if (err?.name === 'ContractError') return 'contract';
+  if (err?.name === 'TimeoutError' || err?.status === 408) return 'timeout';
+  if (err?.status === 429 || err?.status >= 500) return 'server';
+  if (err?.status >= 400) return 'client';
+  if (err instanceof TypeError) return navigator.onLine === false ? 'offline' : 'network'; // fetch() network failure
+  return undefined;
+}
+
+async function fetchJson(url, init, label) {
+  const timeout = withTimeout(init.signal);
+  try {
+    const res = await fetch(url, { ...init, signal: timeout.signal });
+    if (!res.ok) {
+      const err = new Error(`${label} ${res.status}`);
+      err.status = res.status;
+      throw err;
+    }
+    return res.status === 204 ? null : await res.json();
+  } finally {
+    timeout.clear();
+  }
+}
+
+function fetchChunks({ videoId, t, window, backend }, requestId) {
+  const cfg = backendConfig(backend);
+  const u = endpointUrl(cfg, 'chunks');
+  u.searchParams.set('videoId', videoId);
+  u.searchParams.set('t', String(t));
+  u.searchParams.set('window', String(window));
+  const url = u.toString();
+  return shared(`GET ${url} ${cfg.auth}`, requestId, (signal) => {
+    log.debug('Fetching chunks', url);
+    return fetchJson(url, { headers: cfg.headers, signal }, 'chunks');
+  });
+}
+
+function translate({ videoId, lines, source, detectedSource, target, hint, glossary, from, to, backend }, requestId) {
+  const cfg = backendConfig(backend);
+  const url = endpointUrl(cfg, 'translate').toString();
+  const body = translateBody(lines, sourceFor(source, detectedSource), target, hint, glossary);
+  return shared(`POST ${url} ${cfg.auth} ${body}`, requestId, async (signal) => {
+    const raw = await fetchJson(url, {
+      method: 'POST',
+      headers: { ...cfg.headers, 'Content-Type': 'application/json' },
+      body,
+      signal
+    }, 'translate');
+    // Throws a ContractError on misaligned output, so nothing broken gets persisted
+    const translated = SST_CONTRACT.alignTranslation(lines, raw);
+    if (videoId && typeof from === 'number' && typeof to === 'number') {
+      persistWindow(videoKey(videoId, target, hint, glossary, source, backend), from, to, translated)
+        .catch(e => log.warn('Persist failed', e));
+    }
+    return translated;
+  });
+}
+
+function lookupWord({ word, sentence, source, sourceLanguage, target, backend }, requestId) {
+  const cfg = backendConfig(backend);
+  const url = endpointUrl(cfg, 'lookup').toString();
+  const body = JSON.stringify({
+    contract: SST_CONTRACT.VERSION, word, sentence, source, sourceLanguage: sourceLanguage || null, target
+  });
+  return shared(`POST ${url} ${cfg.auth} ${body}`, requestId, async (signal) => {
+    const raw = await fetchJson(url, {
+      method: 'POST',
+      headers: { ...cfg.headers, 'Content-Type': 'application/json' },
+      body,
+      signal
+    }, 'lookup');
+    return SST_CONTRACT.parseLookup(raw);
+  });
+}
+
+async function checkHealth({ backend }) {
+  const cfg = backendConfig(backend);
+  const url = endpointUrl(cfg, 'health').toString();
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), BG.HEALTH_TIMEOUT_MS);
+  const t0 = performance.now();
+  try {
+    const res = await fetch(url, { headers: cfg.headers, signal: ctrl.signal, cache: 'no-store' });
+    const latencyMs = performance.now() - t0;
+    if (!res.ok) {
+      const err = new Error(`health ${res.status}`);
+      err.status = res.status;
+      throw err;
+    }
+    const info = await res.json().catch(() => null);
+    return { latencyMs, info };
+  } catch (err) {
+    if (err?.name === 'AbortError') throw new Error(`health timed out after ${BG.HEALTH_TIMEOUT_MS} ms`);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// ========================= Streaming translation =========================
+function parseStreamRecord(raw) {
+  // One NDJSON line or one SSE event payload; ignores keep-alives and [DONE] markers.
+  const txt = raw.trim();
+  if (!txt || txt === '[DONE]') return null;
+  return JSON.parse(txt);
+}
+
+async function* readStreamRecords(res) {
+  const isSse = (res.headers.get('content-type') || '').includes('text/event-stream');
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = '';
+  const sep = isSse ? /\r?\n\r?\n/ : /\r?\n/;
+  const decodeEvent = (block) => {
+    if (!isSse) return block;
+    // SSE: join `data:` fields of the event, skip comments/other fields
+    return block.split(/\r?\n/)
+      .filter(l => l.startsWith('data:'))
+      .map(l => l.slice(5).replace(/^ /, ''))
+      .join('\n');
+  };
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true });
+    const parts = buf.split(sep);
+    buf = parts.pop();
+    for (const part of parts) {
+      const rec = parseStreamRecord(decodeEvent(part));
+      if (rec) yield rec;
+    }
+  }
+  const tail = parseStreamRecord(decodeEvent(buf + decoder.decode()));
+  if (tail) yield tail;
+}
+
+async function streamTranslate({ videoId, lines, source, detectedSource, target, hint, glossary, from, to, backend }, signal, onLine) {
+  const cfg = backendConfig(backend);
+  const url = endpointUrl(cfg, 'translate/stream').toString();
+  const timeout = withTimeout(signal); // lines may legitimately trickle in; only the headers are timed
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: {
+      ...cfg.headers,
+      'Content-Type': 'application/json',
+      'Accept': 'application/x-ndjson, text/event-stream'
+    },
+    body: translateBody(lines, sourceFor(source, detectedSource), target, hint, glossary),
+    signal: timeout.signal
+  }).finally(timeout.clear);
+  if (!res.ok || !res.body) {
+    const err = new Error(`translate/stream ${res.status}`);
+    err.status = res.status;
+    err.unsupported = BG.STREAM_UNSUPPORTED.includes(res.status) || !res.body;
+    throw err;
+  }
+
+  // Records refer to an input line by `id` (contract v1) or `index`; pre-contract backends send
+  // full lines matched by `start`. Bad records are relayed nowhere and fail the final alignment.
+  const byId = new Map(lines.filter(ln => ln.id !== undefined).map(ln => [String(ln.id), ln]));
+  const byStart = new Map(lines.map(ln => [ln.start, ln]));
+  const records = [];
+  for await (const rec of readStreamRecords(res)) {
+    const { index, ...record } = rec;
+    if (Number.isInteger(index) && lines[index]) record.id = lines[index].id;
+    records.push(record);
+    const src = record.id !== undefined ? byId.get(String(record.id)) : byStart.get(record.start);
+    if (!src || typeof record.text !== 'string') continue;
+    onLine({ start: src.start, end: src.end, text: record.text, source: src.text });
+  }
+  const out = SST_CONTRACT.alignTranslation(lines, records, '/translate/stream');
+
+  if (videoId && typeof from === 'number' && typeof to === 'number') {
+    persistWindow(videoKey(videoId, target, hint, glossary, source, backend), from, to, out)
+      .catch(e => log.warn('Persist failed', e));
+  }
+  return out;
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== BG.STREAM_PORT) return;
+  const ctrl = new AbortController();
+  let closed = false;
+  port.onDisconnect.addListener(() => {
+    closed = true;
+    try { ctrl.abort(); } catch {}
+  });
+  const post = (msg) => { if (!closed) port.postMessage(msg); };
+
+  port.onMessage.addListener((msg) => {
+    if (msg?.type !== 'START') return;
+    streamTranslate(msg.payload || {}, ctrl.signal, (line) => post({ type: 'LINE', line }))
+      .then(lines => post({ type: 'DONE', lines }))
+      .catch(err => {
+        if (err?.name === 'AbortError') return;
+        post({
+          type: 'ERROR',
+          status: err?.status,
+          kind: errorKind(err),
+          unsupported: !!err?.unsupported,
+          error: err?.message || String(err)
+        });
+      });
+  });
+});
+
+// ========================= Player frames =========================
+// Content scripts run in every frame (all_frames), so a page with a player and a YouTube embed has
+// two. The popup talks to the one that owns the player: the frame whose video last started
+// playing, else the first that found a player. Kept in session storage, which outlives the worker.
+const frameKey = (tabId) => `${BG.FRAME_KEY_PREFIX}${tabId}`;
+
+async function claimFrame({ playing }, sender) {
+  const tabId = sender.tab?.id;
+  if (tabId === undefined || sender.frameId === undefined) return false;
+  const key = frameKey(tabId);
+  const current = (await chrome.storage.session.get(key))[key];
+  if (current && !playing && current.frameId !== sender.frameId) return false;
+  await chrome.storage.session.set({ [key]: { frameId: sender.frameId, playing: !!playing } });
+  return true;
+}
+
+async function playerFrame({ tabId }) {
+  // null: no frame claimed the tab; the popup then messages all frames
+  const key = frameKey(tabId);
+  return (await chrome.storage.session.get(key))[key]?.frameId ?? null;
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => chrome.storage.session.remove(frameKey(tabId)));
+chrome.tabs.onUpdated.addListener((tabId, change) => {
+  // A new document in the tab: its frames claim again as they find players
+  if (change.status === 'loading') chrome.storage.session.remove(frameKey(tabId));
+});
+
+// ========================= Site access (pages outside YouTube) =========================
+// YouTube (watch, Shorts, embeds incl. youtube-nocookie) is matched by the manifest. Any other
+// site runs the same content scripts only after the popup obtained a host grant for its origin;
+// the registration follows the stored list ∩ granted origins.
+function storedSites() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(BG.SITES_KEY, (items) => {
+      const list = items?.[BG.SITES_KEY];
+      resolve(Array.isArray(list) ? list : []);
+    });
+  });
+}
+
+function storeSites(list) {
+  return new Promise((resolve) => chrome.storage.local.set({ [BG.SITES_KEY]: list }, resolve));
+}
+
+const originPattern = (origin) => `${new URL(origin).origin}/*`;
+
+async function grantedSites() {
+  const sites = await storedSites();
+  const { origins = [] } = await chrome.permissions.getAll();
+  const granted = new Set(origins);
+  return sites.filter(o => granted.has(originPattern(o)));
+}
+
+let siteSync = Promise.resolve();
+
+function syncSiteScripts() {
+  // Serialized: permission events and popup messages can arrive together
+  siteSync = siteSync.then(async () => {
+    const sites = await grantedSites();
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [BG.SITE_SCRIPT_ID] });
+    if (registered.length) await chrome.scripting.unregisterContentScripts({ ids: [BG.SITE_SCRIPT_ID] });
+    if (!sites.length) return;
+    const [manifestScript] = chrome.runtime.getManifest().content_scripts;
+    await chrome.scripting.registerContentScripts([{
+      id: BG.SITE_SCRIPT_ID,
+      matches: sites.map(originPattern),
+      js: manifestScript.js,
+      css: manifestScript.css,
+      runAt: 'document_idle',
+      allFrames: false,
+      persistAcrossSessions: true,
+    }]);
+    log.info('Content scripts registered for', sites.join(', '));
+  }).catch(e => log.warn('Site script registration failed', e));
+  return siteSync;
+}
+
+async function injectIntoTab(tabId) {
+  // The registration only covers future loads; the open tab gets the scripts now (once)
+  const [probe] = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: () => typeof SST !== 'undefined',
+  });
+  if (probe?.result) return;
+  const [manifestScript] = chrome.runtime.getManifest().content_scripts;
+  await chrome.scripting.insertCSS({ target: { tabId }, files: manifestScript.css });
+  await chrome.scripting.executeScript({ target: { tabId }, files: manifestScript.js });
+}
+
+async function enableSite({ origin, tabId }) {
+  const site = new URL(origin).origin;
+  const { origins = [] } = await chrome.permissions.getAll();
+  if (!origins.includes(originPattern(site))) throw new Error(`No host permission for ${site}`);
+  const sites = await storedSites();
+  if (!sites.includes(site)) await storeSites([...sites, site]);
+  await syncSiteScripts();
+  if (typeof tabId === 'number') await injectIntoTab(tabId);
+  return grantedSites();
+}
+
+async function disableSite({ origin }) {
+  const site = new URL(origin).origin;
+  await storeSites((await storedSites()).filter(o => o !== site));
+  await syncSiteScripts();
+  return grantedSites();
+}
+
+chrome.permissions.onAdded.addListener(() => syncSiteScripts());
+chrome.permissions.onRemoved.addListener(() => syncSiteScripts());
+
+// ========================= Messaging from content scripts =========================
+function respondWith(promise, sendResponse) {
+  promise
+    .then(data => sendResponse({ ok: true, data }))
+    .catch(err => sendResponse({
+      ok: false,
+      aborted: err?.name === 'AbortError',
+      status: err?.status,
+      kind: errorKind(err),
+      error: err?.message || String(err)
+    }));
+  return true; // keep channel open for async response
+}
+
+// Only extension pages (the popup) may change site access or read/delete the user's data;
+// content scripts run inside web pages and are refused
+const PAGE_ONLY = new Set([
+  BG.MSG.CORRECTIONS_EXPORT, BG.MSG.WORDS_EXPORT, BG.MSG.WORD_DELETE,
+  BG.MSG.SITES_GET, BG.MSG.SITE_ENABLE, BG.MSG.SITE_DISABLE, BG.MSG.FRAME_GET,
+]);
+
+const fromExtensionPage = (sender) => String(sender?.url || '').startsWith(chrome.runtime.getURL(''));
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (PAGE_ONLY.has(msg?.type) && !fromExtensionPage(sender)) {
+    log.warn('Refused message from a tab', msg.type, sender.url);
+    sendResponse({ ok: false, error: 'Not allowed from a web page' });
+    return false;
+  }
+  switch (msg?.type) {
+    case BG.MSG.CHUNKS:
+      return respondWith(fetchChunks(msg.payload || {}, msg.requestId), sendResponse);
+
+    case BG.MSG.TRANSLATE:
+      return respondWith(translate(msg.payload || {}, msg.requestId), sendResponse);
+
+    case BG.MSG.CACHE_LOOKUP: {
+      const { videoId, language, hint, glossary, source, t, backend } = msg.payload || {};
+      return respondWith(lookupWindow(videoKey(videoId, language, hint, glossary, source, backend), t), sendResponse);
+    }
+
+    case BG.MSG.CACHE_STORE:
+      return respondWith(storeWindow(msg.payload || {}), sendResponse);
+
+    case BG.MSG.HEALTH:
+      return respondWith(checkHealth(msg.payload || {}), sendResponse);
+
+    case BG.MSG.CORRECTION_SAVE:
+      return respondWith(saveCorrection(msg.payload || {}), sendResponse);
+
+    case BG.MSG.CORRECTIONS_GET:
+      return respondWith(getCorrections(msg.payload || {}), sendResponse);
+
+    case BG.MSG.CORRECTIONS_EXPORT:
+      return respondWith(exportCorrections(), sendResponse);
+
+    case BG.MSG.WORD_LOOKUP:
+      return respondWith(lookupWord(msg.payload || {}, msg.requestId), sendResponse);
+
+    case BG.MSG.WORD_SAVE:
+      return respondWith(saveWord(msg.payload || {}), sendResponse);
+
+    case BG.MSG.WORDS_EXPORT:
+      return respondWith(exportWords(), sendResponse);
+
+    case BG.MSG.WORD_DELETE:
+      return respondWith(deleteWord(msg.payload || {}), sendResponse);
+
+    case BG.MSG.SITES_GET:
+      return respondWith(grantedSites(), sendResponse);
+
+    case BG.MSG.SITE_ENABLE:
+      return respondWith(enableSite(msg.payload || {}), sendResponse);
+
+    case BG.MSG.SITE_DISABLE:
+      return respondWith(disableSite(msg.payload || {}), sendResponse);
+
+    case BG.MSG.FRAME_CLAIM:
+      return respondWith(claimFrame(msg.payload || {}, sender), sendResponse);
+
+    case BG.MSG.FRAME_GET:
+      return respondWith(playerFrame(msg.payload || {}), sendResponse);
+
+    case BG.MSG.ABORT:
+      release(msg.requestId);
+      sendResponse({ ok: true });
+      return false;
+
+    default:
+      return false;
+  }
+});
+
+// ========================= Lifecycle =========================
+chrome.runtime.onInstalled.addListener(() => {
+  log.info('Installed.');
+  syncSiteScripts(); // an update changes the manifest's script list
+  SST_SETTINGS.migrate()
+    .then(v => log.info(`Settings schema v${v}.`))
+    .catch(e => log.warn('Settings migration failed', e));
+  retryFeedback();
+});
+chrome.storage.sync.get(BG.LOG_LEVEL_KEY, (items) => applyLogLevel(items?.[BG.LOG_LEVEL_KEY]));
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes[BG.LOG_LEVEL_KEY]) applyLogLevel(changes[BG.LOG_LEVEL_KEY].newValue);
+});
+chrome.runtime.onStartup.addListener(() => {
+  pruneExpired().catch(e => log.warn('Prune failed', e));
+  retryFeedback();
+});
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === BG.FEEDBACK_ALARM) retryFeedback();
+});
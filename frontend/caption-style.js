@@ -0,0 +1,103 @@
+/* caption-style.js — Semantic Subtitle Translator: caption appearance
+ * Responsibilities:
+ *  - Normalize the stored caption style (font, size, colors, outline, opacity, vertical position)
+ *  - Turn a style into the CSS custom properties styles.css reads on .sst-overlay / .sst-preview
+ *  - Normalize dragged caption positions and resized widths, remembered per player mode
+ *    (default/theater/fullscreen/shorts)
+ * Loaded before content.js (manifest content_scripts) and by popup.html; exposed as `SST_CAPTION_STYLE`.
+ */
+
+const SST_CAPTION_STYLE = (() => {
+  const FONTS = {
+    system: 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif',
+    sans: '"Noto Sans", "Noto Sans Malayalam", Arial, sans-serif',
+    serif: '"Noto Serif", "Noto Serif Malayalam", Georgia, serif',
+    mono: '"Roboto Mono", "Noto Sans Mono", monospace',
+    rounded: '"Nunito", "Varela Round", system-ui, sans-serif',
+  };
+
+  const OUTLINES = {
+    none: 'none',
+    shadow: '0 1px 2px rgba(0,0,0,0.8)',
+    outline: '-1px -1px 0 #000, 1px -1px 0 #000, -1px 1px 0 #000, 1px 1px 0 #000, 0 0 3px #000',
+    glow: '0 0 4px rgba(0,0,0,0.9), 0 0 8px rgba(0,0,0,0.7)',
+  };
+
+  const PLAYER_MODES = ['default', 'theater', 'fullscreen', 'shorts'];
+
+  const DEFAULTS = () => ({
+    font: 'system',
+    size: 100,           // % of the responsive base size
+    color: '#ffffff',
+    background: '#000000',
+    opacity: 35,         // background opacity, %
+    outline: 'shadow',
+    bottom: 2,           // % from the player's bottom edge when not dragged
+  });
+
+  // ---------- Normalization ----------
+  const HEX_RE = /^#[0-9a-f]{6}$/i;
+
+  const clampNum = (v, min, max, fallback) => {
+    const n = Number(v);
+    return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+  };
+
+  const normalize = (style) => {
+    const d = DEFAULTS();
+    return {
+      font: FONTS[style?.font] ? style.font : d.font,
+      size: Math.round(clampNum(style?.size, 50, 250, d.size)),
+      color: HEX_RE.test(style?.color) ? style.color.toLowerCase() : d.color,
+      background: HEX_RE.test(style?.background) ? style.background.toLowerCase() : d.background,
+      opacity: Math.round(clampNum(style?.opacity, 0, 100, d.opacity)),
+      outline: OUTLINES[style?.outline] ? style.outline : d.outline,
+      bottom: Math.round(clampNum(style?.bottom, 0, 80, d.bottom)),
+    };
+  };
+
+  const MIN_WIDTH = 0.2; // resized caption width, fraction of the player
+
+  const normalizePositions = (positions) => {
+    // { [mode]: { x?, y?, w? } } — caption center and max width as fractions of the player box;
+    // a caption can be resized without being moved
+    const out = {};
+    for (const mode of PLAYER_MODES) {
+      const p = positions?.[mode];
+      if (!p) continue;
+      const x = clampNum(p.x, 0, 1, NaN);
+      const y = clampNum(p.y, 0, 1, NaN);
+      const w = clampNum(p.w, MIN_WIDTH, 1, NaN);
+      const pos = {
+        ...(Number.isFinite(x) && Number.isFinite(y) ? { x, y } : {}),
+        ...(Number.isFinite(w) ? { w } : {}),
+      };
+      if (Object.keys(pos).length) out[mode] = pos;
+    }
+    return out;
+  };
+
+  // ---------- CSS ----------
+  const rgba = (hex, opacity) => {
+    const n = parseInt(hex.slice(1), 16);
+    return `rgba(${(n >> 16) & 255}, ${(n >> 8) & 255}, ${n & 255}, ${(opacity / 100).toFixed(2)})`;
+  };
+
+  const toCssVars = (style) => {
+    const s = normalize(style);
+    return {
+      '--sst-font': FONTS[s.font],
+      '--sst-size': String(s.size / 100),
+      '--sst-color': s.color,
+      '--sst-bg': rgba(s.background, s.opacity),
+      '--sst-shadow': OUTLINES[s.outline],
+      '--sst-bottom': `${s.bottom}%`,
+    };
+  };
+
+  const applyVars = (el, style) => {
+    for (const [name, value] of Object.entries(toCssVars(style))) el.style.setProperty(name, value);
+  };
+
+  return { FONTS, OUTLINES, PLAYER_MODES, DEFAULTS, MIN_WIDTH, normalize, normalizePositions, toCssVars, applyVars };
+})();
@@ -1,9 +1,44 @@
-/* content.js — Semantic Subtitle Translator (YouTube)
+/* content.js — Semantic Subtitle Translator (YouTube and HTML5 video)
  * Responsibilities:
- *  - Listen for popup messages: SETTINGS_CHANGED, START_TRANSLATION, STOP_TRANSLATION
- *  - Detect YouTube player & inject overlay
+ *  - Listen for popup messages: SETTINGS_CHANGED, START_TRANSLATION, STOP_TRANSLATION, GET_STATUS
+ *  - Push live status (mode, errors, cache hit rate, latency) to an open popup over a port
+ *  - Keep a ring buffer of structured events (state changes, request timings, cache hits, aborts,
+ *    navigations, warnings) for the popup's diagnostics view and debug report; log level set at runtime
+ *  - Detect the player through an adapter picked from the URL (YouTube watch page, Shorts, embeds
+ *    incl. youtube-nocookie, or any enabled site's <video> with caption <track>s) & inject overlay
+ *  - On non-YouTube pages, use the video's own caption track cues as the source lines
  *  - Track playback (timeupdate/seek/rate/play/pause) and request JIT translations
- *  - Manage simple in-memory cache and abort inflight requests
+ *  - Keep an interval-indexed line cache and prefetch the next window ahead of the playhead
+ *  - Route all backend I/O through the background service worker (background.js)
+ *  - Validate /chunks and /translate responses against contract v1 (contract.js); violations take
+ *    the normal failure path (backoff, breaker, untranslated fallback)
+ *  - Merge caption fragments into whole sentences for translation (segmenter.js), then spread
+ *    each translated sentence back over the original fragments' time spans
+ *  - Stream translations line-by-line when available; fall back to blocking /translate
+ *  - Export all translated lines of the current video as SRT/WebVTT
+ *  - Optional transcript panel beside the player: every fetched line, search, click-to-seek
+ *  - Reading-speed guard: lines too dense for the chosen characters-per-second (at the current
+ *    playback rate) stay up into the following gap, merge with a close next line or break into two
+ *    rows; optionally the video slows down or pauses briefly until they can be read
+ *  - Optional spoken dubbing: speak each translated line (speechSynthesis) as it becomes active, in a
+ *    voice for the target language, ducking the video meanwhile; lines longer than their slot are
+ *    sped up, shortened or wait for a brief video pause
+ *  - Vocabulary mode: click a translated word to pause, see its gloss and source phrase (/lookup)
+ *    and save it with its sentence and timestamp to the word list (Anki CSV export in the popup)
+ *  - Click the caption (or a panel row's ✎) to correct a translation; corrections are stored by the
+ *    worker, override cached lines on later views and are uploaded to /feedback
+ *  - Optionally use a local SRT/WebVTT file (with a sync offset) instead of /chunks as the source
+ *  - Optionally use YouTube's own caption tracks (youtube-captions.js) as the transcript source
+ *  - Send the global/per-channel glossary (glossary.js) with /translate and flag violations
+ *  - Pick the hint profile bound to the current video/channel (profiles.js) on navigation
+ *  - Send source + target language to /translate; the source is picked in the popup or detected
+ *    (languages.js), and each caption row gets its language's direction (RTL) and font fallback
+ *  - Optionally romanize Malayalam caption rows (translit.js: ISO 15919 or Manglish), instead of
+ *    or beneath the script
+ *  - Style the caption from the popup's appearance editor (caption-style.js); drag it anywhere
+ *    on the player and remember that spot per player mode
+ *  - Back off failed requests (exponential + jitter), open a circuit breaker after repeated
+ *    failures, and show the untranslated source line marked "translation unavailable" meanwhile
  *  - State machine: idle → active → error (with recovery)
  *  - Log with consistent prefix; avoid noisy spam
  */
@@ -14,62 +49,259 @@ const SST = {
   SELECTORS: {
     playerShell: '#movie_player.html5-video-player',
     video: 'video.html5-main-video',
-    watchRoot: 'ytd-watch-flexy'
+    shortsShell: ['ytd-reel-video-renderer[is-active] #shorts-player', '#shorts-player'],
+    watchRoot: 'ytd-watch-flexy',
+    secondary: 'ytd-watch-flexy #secondary'
+  },
+  STORAGE: {                          // must match STORAGE_KEYS in popup.js
+    captionStyle: 'sst_caption_style',
+    captionPositions: 'sst_caption_positions',
+    logLevel: 'sst_log_level',
   },
   MODES: { IDLE: 'idle', ACTIVE: 'active', ERROR: 'error' },
+  DISPLAY: { TRANSLATED: 'translated', DUAL: 'dual', ORIGINAL: 'original' },
+  SOURCES: { BACKEND: 'backend', YOUTUBE: 'youtube' },
+  CAPTION_KINDS: ['subtitles', 'captions'], // <track kind> values usable as source lines
   TICK_HZ: 4,                         // timeupdate throttle target (~4 fps)
   WINDOW_SEC: 6,                      // prev/next window size total context (3s back/fwd implicit)
   CHUNK_AHEAD_SEC: 2.0,               // mild prefetch tolerance
+  DRAG_THRESHOLD_PX: 4,               // smaller pointer moves on the caption are clicks (edit)
+  RESIZE_EDGE_PX: 10,                 // a drag starting this close to the caption's side resizes it
+  DBLCLICK_WAIT_MS: 250,              // a click waits this long in case it is half a double-click
   OVERLAY_ID: 'sst-overlay',
-  LOG_LEVEL: 'info',                  // 'debug'|'info'|'warn'|'error'
-  BACKEND_BASE: 'http://localhost:8000', // TODO: allow override if needed
-  CACHE_TTL_MS: 2 * 60 * 1000,        // 2 minutes
+  PANEL_ID: 'sst-transcript',
+  PANEL_SYNC_MS: 250,                 // coalesce panel updates while lines stream in
+  PANEL_MANUAL_SCROLL_MS: 4000,       // pause autoscroll this long after the user scrolls the list
+  LOG_LEVEL: 'info',                  // default until the stored level is read (loadLogLevel)
+  LOG_LEVELS: ['debug', 'info', 'warn', 'error'],
+  EVENT_BUFFER: 300,                  // structured diagnostics events kept (oldest dropped)
+  CACHE_TTL_MS: 2 * 60 * 1000,        // 2 minutes per covered range
+  CACHE_MAX_KEYS: 8,                  // video/language/hint variants kept in memory
+  CACHE_LOOKBACK_LINES: 8,            // lines before the playhead considered when rendering
+  PREFETCH_LEAD_SEC: 3,               // fetch the next window this long (wall clock) before coverage ends
+  EXPORT_WINDOW_SEC: 30,              // bigger windows when filling a whole video for export
+  GLOSSARY_MAX_VIOLATIONS: 50,
+  RETRY: { BASE_MS: 1000, MAX_MS: 30000, CLIENT_ERROR_MS: 60000 }, // 4xx: retrying soon won't help
+  BREAKER: { THRESHOLD: 4, COOLDOWN_MS: 60000 },  // consecutive failures before pausing requests
+  FALLBACK_NOTE: 'Translation unavailable',
+  DUB: {
+    OVERFLOW: ['speed', 'truncate', 'pause'], // what to do with a line too long for its slot
+    DUCK_VOLUME: 0.25,                // video volume factor while speaking
+    CHARS_PER_SEC: 15,                // rough speaking speed at rate 1, used to fit lines
+    MAX_RATE: 2,                      // 'speed' never goes faster than this
+    MIN_SLOT_SEC: 0.8,                // joining a line later than this before its end (seek) skips it
+    MAX_HOLD_MS: 4000,                // 'pause' gives up waiting for the voice after this
+  },
+  READING: {
+    ADAPT: ['none', 'slow', 'pause'], // what to do when a line still can't be read in time
+    CPS: 17,                          // default reading speed, characters per second of wall clock
+    CPS_RANGE: [8, 30],
+    ROW_CHARS: 42,                    // longer lines break into two balanced rows
+    MERGE_GAP_SEC: 0.3,               // a dense line only merges with a next line this close
+    MIN_RATE: 0.5,                    // 'slow' never goes below this playback rate
+    MAX_HOLD_MS: 3000,                // 'pause' resumes after this at the latest
+    LATE_SEC: 1,                      // further past a line's end than this (a seek): no hold
+  },
   URL_CHECK_MS: 700,                  // SPA URL change watcher
+  BG_MSG: {                           // must match BG.MSG in background.js
+    CHUNKS: 'SST_CHUNKS',
+    TRANSLATE: 'SST_TRANSLATE',
+    CACHE_LOOKUP: 'SST_CACHE_LOOKUP',
+    CACHE_STORE: 'SST_CACHE_STORE',
+    ABORT: 'SST_ABORT',
+    CORRECTION_SAVE: 'SST_CORRECTION_SAVE',
+    CORRECTIONS_GET: 'SST_CORRECTIONS_GET',
+    WORD_LOOKUP: 'SST_WORD_LOOKUP',
+    WORD_SAVE: 'SST_WORD_SAVE',
+    FRAME_CLAIM: 'SST_FRAME_CLAIM',
+  },
+  STREAM_PORT: 'sst-stream',          // must match BG.STREAM_PORT in background.js
+  STATUS_PORT: 'sst-status',          // popup.js connects to the tab with this name
+  STATUS_THROTTLE_MS: 250,
+  LATENCY_SMOOTHING: 0.3,             // EMA weight of the newest request latency
 };
 
 const log = {
-  debug: (...args) => (SST.LOG_LEVEL === 'debug') && console.debug(SST.PREFIX, ...args),
-  info:  (...args) => console.info(SST.PREFIX, ...args),
-  warn:  (...args) => console.warn(SST.PREFIX, ...args),
-  error: (...args) => console.error(SST.PREFIX, ...args),
+  debug: (...args) => logEnabled('debug') && console.debug(SST.PREFIX, ...args),
+  info:  (...args) => logEnabled('info') && console.info(SST.PREFIX, ...args),
+  warn:  (...args) => { recordLog('warn', args); logEnabled('warn') && console.warn(SST.PREFIX, ...args); },
+  error: (...args) => { recordLog('error', args); logEnabled('error') && console.error(SST.PREFIX, ...args); },
 };
 
+function logEnabled(level) {
+  return SST.LOG_LEVELS.indexOf(level) >= SST.LOG_LEVELS.indexOf(state.logLevel);
+}
+
 // ========================= Global state =========================
 const state = {
   mode: SST.MODES.IDLE,
   enabled: false,
-  language: 'en',
-  hint: '',
+  language: 'en',              // target language code (languages.js)
+  sourceLanguage: 'auto',      // pinned source code, or SST_LANGUAGES.AUTO
+  detectedSource: null,        // { videoId, code } guessed from the current video's captions
+  hint: '',                    // effective hint: bound profile's, else defaultHint
+  defaultHint: '',             // popup's global hint (sst_hint)
+  hintProfiles: null,          // { profiles, bindings } from popup settings
+  hintProfile: null,           // { id, name, scope } currently applied, null → default hint
+  display: 'translated',       // SST.DISPLAY.*
+  backend: null,               // { baseUrl, apiKey } from popup; null → worker default
+  localSubs: null,             // { id, name, lines } loaded from a file in the popup
+  localOffset: 0,              // seconds added to local cue times (positive → later)
+  transcriptSource: 'backend', // SST.SOURCES.*; a loaded local file overrides both
+  captionTrack: '',            // preferred YouTube track "lang:kind" ('' → best manual track)
+  ytPlayer: null,              // { videoId, promise → player response }
+  ytTrack: null,               // { videoId, pref, status:'loading'|'ready'|'failed', track, lines, promise }
+  glossaryStore: null,         // raw { global, channels } from popup settings
+  glossary: null,              // resolved for the current channel: { terms, doNotTranslate }
+  glossarySig: '',
+  glossaryViolations: [],      // most recent first, capped at SST.GLOSSARY_MAX_VIOLATIONS
+  channel: null,               // { videoId, id, name } of the current video
+  captionStyle: null,          // popup appearance editor values (caption-style.js), null → defaults
+  captionPositions: {},        // { [playerMode]: { x?, y?, w? } } dragged centers / resized widths (fractions of the player)
+  playerMode: null,            // mode the caption position was last applied for
+  adapter: null,                // PLAYER_ADAPTERS entry for the current URL, null → no player here
+  pageTrack: null,             // { key, track, restoreMode, promise } caption track of a non-YouTube video
   videoEl: null,
   overlayEl: null,
   lastUrl: location.href,
   videoId: null,
   tickTimer: null,
   lastTickAt: 0,
-  inflight: null,              // { ctrl: AbortController, kind: 'chunks'|'stream' }
-  cache: new Map(),            // key -> { ts:number, data:any }
+  inflight: null,              // { ctrl, kind: 'chunks'|'translate'|'stream', key, from, to }
+  streamUnsupported: false,    // set once the backend says it has no stream endpoint
+  breaker: { failures: 0, open: false, retryAt: 0, lastError: null }, // see "Resilience"
+  stats: { hits: 0, misses: 0, lastLatencyMs: null, avgLatencyMs: null }, // window loads, this video
+  statusPorts: new Set(),      // open popup subscriptions
+  logLevel: SST.LOG_LEVEL,     // one of SST.LOG_LEVELS, set from the popup
+  events: [],                  // diagnostics ring buffer, see recordEvent()
+  statusTimer: null,
+  cache: new Map(),            // cacheKey -> { ranges:[{from,to,ts}], lines:[...], originals:[...] }
   obs: null,                   // MutationObserver
+  exportCtrl: null,            // AbortController of a running subtitle export
+  transcriptPanel: false,      // popup toggle: show the transcript panel
+  panel: null,                 // { el, list, search, rows: Map(start → li), key, active, userScrollAt, syncTimer }
+  corrections: null,           // { key: 'videoId|language', byStart: Map(start → text) } for the current video
+  dubbing: { enabled: false, overflow: 'speed' }, // popup settings, see "Spoken dubbing"
+  reading: { enabled: true, cps: SST.READING.CPS, adapt: 'none' }, // popup settings, see "Reading speed"
+  read: {                      // reading pace of the displayed line
+    line: null, lineStart: null, shownAt: 0, restoreRate: null, slowRate: null, holding: false, holdTimer: null,
+  },
+  dub: {                       // speech state of the current video
+    utterance: null, line: null, lineStart: null, spoken: 0, voice: null, voiceMissing: null,
+    restoreVolume: null, holding: false, holdTimer: null,
+  },
+  editor: null,                // { el, line, resume } open correction editor
+  vocabulary: false,           // popup setting: translated words are clickable
+  wordCard: null,              // { el, ctrl, resume } open word lookup card
+  romanization: { scheme: 'off', placement: 'below' }, // popup settings, Malayalam captions (translit.js)
 };
 
-// ========================= DOM discovery & overlay =========================
-function getVideoIdFromUrl(href = location.href) {
+// ========================= Player adapters =========================
+// The first adapter whose `matches(url)` holds drives discovery for the page:
+//   videoId(url) → identity of the media (cache/persistence key), null → nothing to translate
+//   find()       → { shell, video } once the player exists; the overlay goes into `shell`
+//   youtube      → /chunks, YouTube caption tracks, channel scope and ad detection apply
+const YOUTUBE_HOST_RE = /(^|\.)youtube(-nocookie)?\.com$/;
+
+function findYoutubePlayer(shellSelectors) {
+  for (const sel of [].concat(shellSelectors)) {
+    const shell = document.querySelector(sel);
+    const video = shell?.querySelector(SST.SELECTORS.video);
+    if (video) return { shell, video };
+  }
+  return null;
+}
+
+function captionTracks(video) {
+  return Array.from(video?.textTracks || []).filter(t => SST.CAPTION_KINDS.includes(t.kind));
+}
+
+function findPageVideo() {
+  // Largest <video> on the page that carries caption tracks; its parent hosts the overlay
+  let best = null;
+  let bestArea = 0;
+  for (const video of document.querySelectorAll('video')) {
+    if (!captionTracks(video).length || !video.parentElement) continue;
+    const { width, height } = video.getBoundingClientRect();
+    if (!best || width * height > bestArea) {
+      best = video;
+      bestArea = width * height;
+    }
+  }
+  return best ? { shell: best.parentElement, video: best } : null;
+}
+
+const PLAYER_ADAPTERS = [
+  {
+    name: 'watch',
+    youtube: true,
+    matches: (u) => YOUTUBE_HOST_RE.test(u.hostname) && u.pathname.startsWith('/watch'),
+    videoId: (u) => u.searchParams.get('v'),
+    find: () => findYoutubePlayer(SST.SELECTORS.playerShell),
+  },
+  {
+    name: 'shorts',
+    youtube: true,
+    matches: (u) => YOUTUBE_HOST_RE.test(u.hostname) && u.pathname.startsWith('/shorts/'),
+    videoId: (u) => u.pathname.split('/')[2] || null,
+    find: () => findYoutubePlayer(SST.SELECTORS.shortsShell),
+  },
+  {
+    name: 'embed',
+    youtube: true,
+    matches: (u) => YOUTUBE_HOST_RE.test(u.hostname) && u.pathname.startsWith('/embed/'),
+    videoId: (u) => {
+      const id = u.pathname.split('/')[2];
+      return id && id !== 'videoseries' ? id : null; // playlists carry no id in the URL
+    },
+    find: () => findYoutubePlayer(SST.SELECTORS.playerShell),
+  },
+  {
+    name: 'html5',
+    youtube: false,
+    // Only runs where the user enabled the site (background.js registers the scripts there)
+    matches: (u) => !YOUTUBE_HOST_RE.test(u.hostname),
+    videoId: (u) => `page:${u.host}${u.pathname.replace(/\|/g, '%7C')}`, // '|' separates cache key parts
+    find: findPageVideo,
+  },
+];
+
+function pickAdapter(href = location.href) {
   try {
     const u = new URL(href);
-    // watch?v=xxx or shorts/xxx
-    if (u.pathname.startsWith('/watch')) return u.searchParams.get('v');
-    if (u.pathname.startsWith('/shorts/')) return u.pathname.split('/')[2] || null;
-    return null;
+    return PLAYER_ADAPTERS.find(a => a.matches(u)) || null;
+  } catch { return null; }
+}
+
+function getVideoIdFromUrl(href = location.href) {
+  try {
+    return pickAdapter(href)?.videoId(new URL(href)) || null;
   } catch { return null; }
 }
 
-function findPlayerShell() {
-  return document.querySelector(SST.SELECTORS.playerShell);
+function syncAdapter() {
+  // Re-picks the adapter for the current URL (SPA navigation can move between watch and Shorts)
+  const adapter = pickAdapter();
+  if (adapter !== state.adapter) log.debug('Player adapter:', adapter?.name || 'none');
+  state.adapter = adapter;
+  state.videoId = getVideoIdFromUrl();
 }
 
-function findVideoEl() {
-  return document.querySelector(SST.SELECTORS.video);
+function positionShell(shell) {
+  // Page players rarely position the video's parent; the overlay needs it (undone in releaseShell)
+  if (getComputedStyle(shell).position !== 'static') return;
+  shell.style.position = 'relative';
+  shell.dataset.sstPositioned = '1';
 }
 
+function releaseShell() {
+  const shell = document.querySelector('[data-sst-positioned]');
+  if (!shell) return;
+  shell.style.position = '';
+  delete shell.dataset.sstPositioned;
+}
+
+// ========================= DOM discovery & overlay =========================
 function ensureOverlay(parent) {
   let el = document.getElementById(SST.OVERLAY_ID);
   if (el && !parent.contains(el)) {
@@ -83,100 +315,892 @@ function ensureOverlay(parent) {
     el.className = 'sst-overlay'; // styled by styles.css (content script CSS)
     el.style.position = 'absolute';
     el.style.inset = '0';
-    el.style.pointerEvents = 'none';
+    el.style.pointerEvents = 'none'; // only the caption itself takes pointer input (dragging)
     el.style.display = 'flex';
     el.style.alignItems = 'flex-end';
     el.style.justifyContent = 'center';
-    el.style.padding = '2% 4%';
     el.style.zIndex = '3000'; // above most player chrome, below menus
     el.setAttribute('aria-live', 'polite');
     el.setAttribute('aria-atomic', 'true');
 
     const caption = document.createElement('div');
-    caption.className = 'sst-caption';
-    caption.style.maxWidth = '90%';
-    caption.style.textAlign = 'center';
-    caption.style.textShadow = '0 1px 2px rgba(0,0,0,0.8)';
-    caption.style.fontSize = 'clamp(14px, 2.4vw, 28px)';
-    caption.style.lineHeight = '1.35';
-    caption.style.color = 'white';
-    caption.style.fontWeight = '600';
-    caption.style.background = 'rgba(0,0,0,0.35)';
-    caption.style.padding = '6px 10px';
-    caption.style.borderRadius = '10px';
-    caption.style.backdropFilter = 'blur(0.5px)';
+    caption.className = 'sst-caption'; // appearance: styles.css + custom properties on the overlay
     caption.id = 'sst-caption';
+    caption.title = 'Drag to move · drag a side to resize · double-click to reset';
+    bindCaptionDrag(caption);
     el.appendChild(caption);
 
     parent.appendChild(el);
+    state.playerMode = null;
     log.info('Overlay injected.');
   }
+  applyCaptionStyle(el);
+  applyCaptionPosition();
   return el;
 }
 
+// ========================= Caption appearance & placement =========================
+function playerMode() {
+  if (state.adapter?.name === 'shorts') return 'shorts';
+  if (document.fullscreenElement) return 'fullscreen';
+  if (document.querySelector(SST.SELECTORS.watchRoot)?.hasAttribute('theater')) return 'theater';
+  return 'default';
+}
+
+function applyCaptionStyle(overlay = document.getElementById(SST.OVERLAY_ID)) {
+  if (overlay) SST_CAPTION_STYLE.applyVars(overlay, state.captionStyle);
+}
+
+function applyCaptionPosition() {
+  // Dragged captions sit at their remembered center for this mode; otherwise bottom-centered.
+  // A resized caption wraps at its remembered width.
+  const caption = document.getElementById('sst-caption');
+  if (!caption) return;
+  const mode = playerMode();
+  state.playerMode = mode;
+  const pos = state.captionPositions[mode];
+  const placed = pos?.x !== undefined;
+  caption.classList.toggle('sst-caption--placed', placed);
+  caption.style.left = placed ? `${pos.x * 100}%` : '';
+  caption.style.top = placed ? `${pos.y * 100}%` : '';
+  caption.style.maxWidth = pos?.w ? `${pos.w * 100}%` : '';
+}
+
+function syncCaptionPosition() {
+  // Player mode changes (theater toggle, fullscreen, Shorts) don't navigate; catch them cheaply
+  if (state.playerMode !== playerMode()) applyCaptionPosition();
+}
+
+function saveCaptionPositions() {
+  chrome?.storage?.sync?.set({ [SST.STORAGE.captionPositions]: state.captionPositions }, () => {
+    const err = chrome.runtime?.lastError;
+    if (err) log.warn('Could not save caption position', err.message);
+  });
+}
+
+function resetCaptionPosition(mode = playerMode()) {
+  delete state.captionPositions[mode];
+  saveCaptionPositions();
+  applyCaptionPosition();
+  return mode;
+}
+
+function bindCaptionDrag(caption) {
+  // Pointer events on the caption only; stop them reaching the player (click = pause, dblclick = fullscreen).
+  // Drag moves it, dragging a side resizes it (symmetrically, it stays centered), click edits the
+  // line (or looks up a word in vocabulary mode), double-click resets position and width.
+  let drag = null;
+  let clickTimer = null;
+  let dragged = false;
+  let pressedWord = null; // pointer capture retargets the click to the caption; remember the word here
+  const stop = (e) => e.stopPropagation();
+  const onEdge = (e) => {
+    const box = caption.getBoundingClientRect();
+    return e.clientX - box.left < SST.RESIZE_EDGE_PX || box.right - e.clientX < SST.RESIZE_EDGE_PX;
+  };
+
+  caption.addEventListener('pointerdown', (e) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const word = e.target.closest?.('.sst-word');
+    pressedWord = word ? word.dataset.word || word.textContent : null;
+    const box = caption.getBoundingClientRect();
+    drag = {
+      id: e.pointerId,
+      x0: e.clientX,
+      y0: e.clientY,
+      dx: e.clientX - (box.left + box.width / 2),
+      dy: e.clientY - (box.top + box.height / 2),
+      cx: box.left + box.width / 2,
+      resize: onEdge(e),
+      moved: false,
+    };
+    caption.setPointerCapture(e.pointerId);
+    caption.classList.add('sst-caption--dragging');
+  });
+
+  caption.addEventListener('pointermove', (e) => {
+    if (!drag) {
+      caption.classList.toggle('sst-caption--edge', onEdge(e));
+      return;
+    }
+    if (e.pointerId !== drag.id) return;
+    const area = caption.parentElement?.getBoundingClientRect();
+    if (!area?.width || !area?.height) return;
+    const clamp = (v, min = 0) => Math.min(1, Math.max(min, v));
+    if (!drag.moved && Math.hypot(e.clientX - drag.x0, e.clientY - drag.y0) < SST.DRAG_THRESHOLD_PX) return;
+    drag.moved = true;
+    const mode = playerMode();
+    const { w, ...center } = state.captionPositions[mode] || {};
+    state.captionPositions[mode] = drag.resize
+      ? { ...center, w: clamp(2 * Math.abs(e.clientX - drag.cx) / area.width, SST_CAPTION_STYLE.MIN_WIDTH) }
+      : {
+        x: clamp((e.clientX - drag.dx - area.left) / area.width),
+        y: clamp((e.clientY - drag.dy - area.top) / area.height),
+        ...(w ? { w } : {}),
+      };
+    applyCaptionPosition();
+  });
+  caption.addEventListener('pointerleave', () => caption.classList.remove('sst-caption--edge'));
+
+  const endDrag = (e) => {
+    if (!drag || e.pointerId !== drag.id) return;
+    e.stopPropagation();
+    caption.classList.remove('sst-caption--dragging');
+    dragged = drag.moved;
+    if (drag.moved) {
+      saveCaptionPositions();
+      log.debug(drag.resize ? 'Caption resized' : 'Caption moved', state.playerMode, state.captionPositions[state.playerMode]);
+    }
+    drag = null;
+  };
+  caption.addEventListener('pointerup', endDrag);
+  caption.addEventListener('pointercancel', endDrag);
+  caption.addEventListener('click', (e) => {
+    stop(e);
+    if (dragged) return; // the click that ends a drag
+    clearTimeout(clickTimer);
+    const word = pressedWord;
+    clickTimer = setTimeout(() => (word ? openWordCard(word) : editCurrentLine()), SST.DBLCLICK_WAIT_MS);
+  });
+  caption.addEventListener('dblclick', (e) => {
+    stop(e);
+    clearTimeout(clickTimer);
+    resetCaptionPosition();
+  });
+}
+
+function loadCaptionLayout() {
+  // Style normally arrives with popup settings; read storage once so it applies before the popup opens
+  if (!chrome?.storage?.sync) return;
+  const keys = { [SST.STORAGE.captionStyle]: null, [SST.STORAGE.captionPositions]: {} };
+  chrome.storage.sync.get(keys, (res) => {
+    if (chrome.runtime?.lastError || !res) return;
+    if (!state.captionStyle && res[SST.STORAGE.captionStyle]) {
+      state.captionStyle = SST_CAPTION_STYLE.normalize(res[SST.STORAGE.captionStyle]);
+    }
+    state.captionPositions = SST_CAPTION_STYLE.normalizePositions(res[SST.STORAGE.captionPositions]);
+    applyCaptionStyle();
+    applyCaptionPosition();
+  });
+}
+
+function loadLogLevel() {
+  // The level set in the popup's diagnostics view survives reloads, like in the worker
+  if (!chrome?.storage?.sync) return;
+  chrome.storage.sync.get(SST.STORAGE.logLevel, (res) => {
+    if (chrome.runtime?.lastError) return;
+    const level = res?.[SST.STORAGE.logLevel];
+    if (SST.LOG_LEVELS.includes(level)) state.logLevel = level;
+  });
+}
+
 function clearOverlay() {
   const el = document.getElementById(SST.OVERLAY_ID);
   if (el?.isConnected) try { el.remove(); } catch {}
 }
 
-function setCaptionText(text) {
+function setTextLanguage(el, lang) {
+  // Direction + font fallback from the registry; unknown/undetected → let the browser decide
+  const entry = SST_LANGUAGES.get(lang);
+  if (entry) {
+    el.lang = entry.code;
+    el.dir = entry.dir;
+  } else {
+    el.removeAttribute('lang');
+    el.dir = 'auto';
+  }
+  el.style.fontFamily = entry ? `var(--sst-font, system-ui), ${entry.font}` : '';
+}
+
+function setCaptionText(text, lang = state.language) {
+  const caption = document.getElementById('sst-caption');
+  if (!caption) return;
+  fillCaption(caption, text, lang);
+  setTextLanguage(caption, lang);
+  setCaptionNote('');
+}
+
+function fillCaption(el, text, lang) {
+  // Text of a caption row: word spans in vocabulary mode; Malayalam romanized (translit.js)
+  // instead of or beneath the script
+  const fill = (node, show) => {
+    if (clickableWords(lang)) fillWords(node, text, show);
+    else node.textContent = show(text || '');
+  };
+  const scheme = state.romanization.scheme;
+  if (scheme === 'off' || !SST_TRANSLIT.hasMalayalam(text)) return fill(el, s => s);
+  const roman = (s) => SST_TRANSLIT.transliterate(s, scheme);
+  if (state.romanization.placement === 'replace') return fill(el, roman);
+  const script = document.createElement('span');
+  script.className = 'sst-caption__script';
+  fill(script, s => s);
+  const latin = document.createElement('span');
+  latin.className = 'sst-caption__roman';
+  latin.lang = 'ml-Latn';
+  latin.textContent = roman(text || '');
+  el.replaceChildren(script, latin);
+}
+
+function setCaptionNote(note) {
+  // Small badge under the caption (styles.css renders data-note); '' removes it
   const caption = document.getElementById('sst-caption');
-  if (caption) caption.textContent = text || '';
+  if (!caption) return;
+  caption.classList.toggle('sst-caption--note', !!note);
+  if (note) caption.dataset.note = note;
+  else delete caption.dataset.note;
+}
+
+function setCaptionLines(source, translated) {
+  // Dual mode: original on top, translation below; each row styled via styles.css
+  const caption = document.getElementById('sst-caption');
+  if (!caption) return;
+  if (!source && !translated) return setCaptionText('');
+  const row = (cls, text, lang) => {
+    const span = document.createElement('span');
+    span.className = cls;
+    fillCaption(span, text, lang);
+    setTextLanguage(span, lang);
+    return span;
+  };
+  const rows = [];
+  if (source) rows.push(row('sst-caption__source', source, effectiveSource()));
+  if (translated) rows.push(row('sst-caption__translated', translated, state.language));
+  caption.replaceChildren(...rows);
+  setTextLanguage(caption, null);
+  setCaptionNote('');
+}
+
+// ========================= Cache (interval index) =========================
+// Per video+language+hint: merged covered time ranges plus every translated line sorted
+// by start, so a fetched window answers lookups for any time it spans.
+function cacheKey(videoId, lang, hint) {
+  return `${videoId}|${lang}|${hint || ''}`;
+}
+
+function cacheEntry(key, create = false) {
+  let entry = state.cache.get(key);
+  if (!entry && create) {
+    entry = { ranges: [], lines: [], originals: [] };
+    state.cache.set(key, entry);
+    // naive trim: keep only the most recent video/language/hint variants
+    if (state.cache.size > SST.CACHE_MAX_KEYS) {
+      state.cache.delete(state.cache.keys().next().value);
+    }
+  }
+  return entry || null;
+}
+
+function lowerBound(lines, t) {
+  // First index whose line starts at or after `t`
+  let lo = 0;
+  let hi = lines.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (lines[mid].start < t) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
+
+function cacheAddLines(key, lines, field = 'lines') {
+  // `field`: 'lines' (translated) or 'originals' (source lines from /chunks)
+  const list = cacheEntry(key, true)[field];
+  for (const ln of lines || []) {
+    if (typeof ln?.start !== 'number') continue;
+    const i = lowerBound(list, ln.start);
+    if (list[i]?.start === ln.start) list[i] = ln;
+    else list.splice(i, 0, ln);
+  }
+  if (field === 'lines') scheduleTranscriptSync();
+}
+
+function cacheCoverage(key, t) {
+  // Returns the (merged) covered range containing `t`, or null
+  const entry = cacheEntry(key);
+  if (!entry) return null;
+  const now = Date.now();
+  entry.ranges = entry.ranges.filter(r => now - r.ts <= SST.CACHE_TTL_MS);
+  return entry.ranges.find(r => r.from <= t && t < r.to) || null;
+}
+
+function cacheSet(key, from, to, lines) {
+  cacheAddLines(key, lines);
+  const entry = cacheEntry(key, true);
+  const merged = { from, to, ts: Date.now() };
+  const rest = [];
+  for (const r of entry.ranges) {
+    if (r.to < merged.from || r.from > merged.to) { rest.push(r); continue; }
+    merged.from = Math.min(merged.from, r.from);
+    merged.to = Math.max(merged.to, r.to);
+    merged.ts = Math.min(merged.ts, r.ts); // a merged range expires with its oldest part
+  }
+  rest.push(merged);
+  entry.ranges = rest.sort((x, y) => x.from - y.from);
+}
+
+function cacheGet(key, t, field = 'lines') {
+  // Lines around `t` (enough for renderFromWindow), regardless of coverage
+  const entry = cacheEntry(key);
+  if (!entry) return [];
+  const list = entry[field];
+  const hi = lowerBound(list, t + SST.CHUNK_AHEAD_SEC + 0.001);
+  const near = list.slice(Math.max(0, hi - SST.CACHE_LOOKBACK_LINES), hi);
+  return field === 'lines' ? withCorrections(key, near) : near;
 }
 
-// ========================= Cache =========================
-function cacheKey(videoId, lang, tSec) {
-  const bucket = Math.floor(tSec); // 1s bucket — simple & effective
-  return `${videoId}|${lang}|${bucket}`;
+// ========================= Backend I/O (via background worker, robust aborts) =========================
+let bgRequestSeq = 0;
+
+function abortError() {
+  const err = new Error('Aborted');
+  err.name = 'AbortError';
+  return err;
+}
+
+function bgRequest(type, payload, signal) {
+  // Resolves with `data` from the worker; rejects with AbortError when `signal` fires.
+  return new Promise((resolve, reject) => {
+    if (!chrome?.runtime?.sendMessage) return reject(new Error('Extension runtime unavailable'));
+    if (signal?.aborted) return reject(abortError());
+
+    const requestId = `${Date.now().toString(36)}-${++bgRequestSeq}`;
+    let settled = false;
+    const onAbort = () => {
+      if (settled) return;
+      settled = true;
+      try { chrome.runtime.sendMessage({ type: SST.BG_MSG.ABORT, requestId }); } catch {}
+      reject(abortError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    chrome.runtime.sendMessage({ type, requestId, payload }, (resp) => {
+      signal?.removeEventListener('abort', onAbort);
+      if (settled) return;
+      settled = true;
+      const err = chrome.runtime.lastError;
+      if (err) return reject(new Error(err.message));
+      if (resp?.ok) return resolve(resp.data);
+      if (resp?.aborted) return reject(abortError());
+      const e = new Error(resp?.error || `${type} failed`);
+      e.status = resp?.status;
+      e.kind = resp?.kind;
+      reject(e);
+    });
+  });
 }
-function cacheGet(key) {
-  const hit = state.cache.get(key);
-  if (!hit) return null;
-  if (Date.now() - hit.ts > SST.CACHE_TTL_MS) {
-    state.cache.delete(key);
+
+function windowBounds(tSec, windowSec = SST.WINDOW_SEC) {
+  // Time range a /chunks call centred on `tSec` covers (3s back/fwd by default)
+  return { from: Math.max(0, tSec - windowSec / 2), to: tSec + windowSec / 2 };
+}
+
+async function lookupPersisted(videoId, lang, hint, tSec, signal) {
+  // Returns { from, to, lines } from the cross-tab IndexedDB cache, or null on miss
+  try {
+    return await bgRequest(SST.BG_MSG.CACHE_LOOKUP, {
+      videoId, language: lang, source: state.sourceLanguage, hint, glossary: activeGlossary(), t: tSec,
+      backend: state.backend
+    }, signal);
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    log.debug('Persistent cache lookup failed', err);
     return null;
   }
-  return hit.data;
 }
-function cacheSet(key, data) {
-  state.cache.set(key, { ts: Date.now(), data });
-  // naive trim
-  if (state.cache.size > 500) {
-    const firstKey = state.cache.keys().next().value;
-    state.cache.delete(firstKey);
+
+function storePersisted(videoId, lang, hint, from, to, lines) {
+  // Fire-and-forget write of a translated window to the cross-tab IndexedDB cache
+  bgRequest(SST.BG_MSG.CACHE_STORE, {
+    videoId, language: lang, source: state.sourceLanguage, hint, glossary: activeGlossary(), from, to, lines,
+    backend: state.backend
+  }).catch(err => log.debug('Persistent cache store failed', err));
+}
+
+function validPersisted(window) {
+  // Windows written by older versions (or a broken backend) are treated as misses
+  if (!window) return null;
+  try {
+    SST_CONTRACT.checkLines('cache', window.lines || []);
+    return window;
+  } catch (err) {
+    log.warn('Ignoring invalid cached window', err.message);
+    return null;
   }
 }
 
-// ========================= Backend I/O (placeholders, robust aborts) =========================
-async function fetchWindowChunks(videoId, tSec, signal) {
+async function fetchWindowChunks(videoId, tSec, signal, windowSec = SST.WINDOW_SEC) {
   // Returns [{start:number, end:number, text:string}, ...] original lines
-  const u = new URL('/chunks', SST.BACKEND_BASE);
-  u.searchParams.set('videoId', videoId);
-  u.searchParams.set('t', String(tSec));
-  u.searchParams.set('window', String(SST.WINDOW_SEC));
-  log.debug('Fetching chunks', u.toString());
-  const res = await fetch(u.toString(), { signal });
-  if (!res.ok) throw new Error(`chunks ${res.status}`);
-  return res.json();
-}
-
-async function translateWindow(lines, lang, hint, signal) {
-  // Returns same shape, but with translated `text`
-  const u = new URL('/translate', SST.BACKEND_BASE);
-  const res = await fetch(u.toString(), {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ lines, target: lang, hint }),
-    signal
-  });
-  if (!res.ok) throw new Error(`translate ${res.status}`);
-  return res.json();
+  log.debug('Fetching chunks', { videoId, t: tSec, window: windowSec });
+  return timed('/chunks', bgRequest(SST.BG_MSG.CHUNKS, { videoId, t: tSec, window: windowSec, backend: state.backend }, signal)
+    .then(SST_CONTRACT.parseChunks));
+}
+
+async function translateWindow(lines, lang, hint, signal, meta = {}) {
+  // Returns same shape, but with translated `text`.
+  // `meta` ({ videoId, from, to, source, detectedSource }) lets the worker persist the result.
+  return timed('/translate', bgRequest(SST.BG_MSG.TRANSLATE, {
+    ...meta, lines, target: lang, hint, glossary: activeGlossary(), backend: state.backend
+  }, signal).then(raw => SST_CONTRACT.alignTranslation(lines, raw)));
+}
+
+function translateWindowStream(lines, lang, hint, signal, meta = {}, onLine = () => {}) {
+  // Streams translated lines one by one through the worker; resolves with all lines.
+  // Rejects with `err.fallback = true` when the blocking endpoint should be used instead.
+  return timed('/translate/stream', new Promise((resolve, reject) => {
+    if (!chrome?.runtime?.connect) return reject(Object.assign(new Error('Streaming unavailable'), { fallback: true }));
+    if (signal?.aborted) return reject(abortError());
+
+    const port = chrome.runtime.connect({ name: SST.STREAM_PORT });
+    let settled = false;
+    const finish = (fn, arg) => {
+      if (settled) return;
+      settled = true;
+      signal?.removeEventListener('abort', onAbort);
+      try { port.disconnect(); } catch {}
+      fn(arg);
+    };
+    const onAbort = () => finish(reject, abortError());
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    port.onMessage.addListener((msg) => {
+      if (settled) return;
+      switch (msg?.type) {
+        case 'LINE':
+          onLine(msg.line);
+          break;
+        case 'DONE':
+          try {
+            finish(resolve, SST_CONTRACT.alignTranslation(lines, msg.lines || [], '/translate/stream'));
+          } catch (err) {
+            finish(reject, err);
+          }
+          break;
+        case 'ERROR': {
+          const err = new Error(msg.error || 'translate/stream failed');
+          err.status = msg.status;
+          err.kind = msg.kind;
+          err.unsupported = !!msg.unsupported;
+          // network-level failures would hit the blocking endpoint just the same
+          err.fallback = err.unsupported || (msg.status === undefined && !msg.kind);
+          finish(reject, err);
+          break;
+        }
+      }
+    });
+    port.onDisconnect.addListener(() => {
+      const err = new Error(chrome.runtime.lastError?.message || 'Stream port closed');
+      err.fallback = true;
+      finish(reject, err);
+    });
+    port.postMessage({
+      type: 'START',
+      payload: { ...meta, lines, target: lang, hint, glossary: activeGlossary(), backend: state.backend }
+    });
+  }));
+}
+
+async function translateWindowProgressive(lines, lang, hint, signal, meta, onLine) {
+  // Prefer streaming; fall back to the blocking POST /translate when the stream is unavailable.
+  if (!state.streamUnsupported) {
+    try {
+      return await translateWindowStream(lines, lang, hint, signal, meta, onLine);
+    } catch (err) {
+      if (!err.fallback) throw err;
+      if (err.unsupported) {
+        state.streamUnsupported = true;
+        log.info('Stream endpoint unavailable; using blocking translate.');
+      } else {
+        log.debug('Stream failed; falling back to blocking translate', err);
+      }
+    }
+  }
+  if (state.inflight?.ctrl.signal === signal) state.inflight.kind = 'translate';
+  return translateWindow(lines, lang, hint, signal, meta);
+}
+
+// ========================= Resilience (backoff, circuit breaker, fallback) =========================
+function classifyError(err) {
+  // 'client' | 'server' | 'timeout' | 'offline' | 'network' | 'contract' — the worker tags most failures already
+  if (err?.kind) return err.kind;
+  if (navigator.onLine === false) return 'offline';
+  if (err?.status >= 500 || err?.status === 429) return 'server';
+  if (err?.status >= 400) return 'client';
+  return 'network';
+}
+
+function backoffDelay(failures) {
+  // Exponential with "equal jitter": half fixed, half random, so tabs don't retry in lockstep
+  const exp = Math.min(SST.RETRY.MAX_MS, SST.RETRY.BASE_MS * 2 ** Math.max(0, failures - 1));
+  return exp / 2 + Math.random() * exp / 2;
+}
+
+function backendBlocked() {
+  return Date.now() < state.breaker.retryAt;
+}
+
+function isDegraded() {
+  return state.breaker.failures > 0;
+}
+
+function recordFailure(err) {
+  const b = state.breaker;
+  const kind = classifyError(err);
+  b.failures++;
+  b.lastError = { kind, status: err?.status, message: err?.message || String(err), at: Date.now() };
+  if (kind === 'offline') {
+    b.retryAt = Infinity; // the 'online' event resumes
+    log.warn('Offline; pausing translation requests until the connection is back.');
+  } else if (kind === 'client') {
+    b.retryAt = Date.now() + SST.RETRY.CLIENT_ERROR_MS;
+    log.error(`Backend rejected the request (${err?.status ?? '4xx'}); check the backend URL/API key.`, err?.message);
+  } else if (kind === 'contract') {
+    b.retryAt = Date.now() + SST.RETRY.CLIENT_ERROR_MS; // a backend bug; retrying soon gives the same answer
+    log.error('Backend response broke the contract.', err?.message);
+  } else if (b.failures >= SST.BREAKER.THRESHOLD) {
+    if (!b.open) log.warn(`Circuit open after ${b.failures} failures; pausing requests for ${SST.BREAKER.COOLDOWN_MS / 1000}s.`);
+    b.open = true;
+    b.retryAt = Date.now() + SST.BREAKER.COOLDOWN_MS; // one probe request after this (half-open)
+  } else {
+    const delay = backoffDelay(b.failures);
+    b.retryAt = Date.now() + delay;
+    log.warn(`Request failed (${kind}); retry #${b.failures} in ${(delay / 1000).toFixed(1)}s`, err?.message);
+  }
+  renderCurrent(); // switch to the untranslated fallback right away
+  notifyStatus();
+}
+
+function recordSuccess() {
+  const b = state.breaker;
+  if (!b.failures) return;
+  log.info(b.open ? 'Backend recovered; circuit closed.' : 'Backend recovered.');
+  state.breaker = { failures: 0, open: false, retryAt: 0, lastError: null };
+  notifyStatus();
+}
+
+function onOnline() {
+  if (state.breaker.lastError?.kind !== 'offline') return;
+  log.info('Back online; resuming.');
+  state.breaker.retryAt = 0;
+  refreshNow();
+}
+
+function hydrateOriginals(t) {
+  // While the backend is paused, local sources (file / YouTube or page track) can still feed the
+  // fallback; on YouTube a failing /chunks is stood in for by the video's own caption track
+  const local = state.localSubs || usingYoutubeTrack() || usingPageTrack();
+  if (!local && !state.adapter?.youtube) return;
+  const key = cacheKey(sourceVideoId(), state.language, state.hint);
+  if (pickLineAt(cacheGet(key, t, 'originals'), t)) return;
+  (local ? fetchOriginalLines(sourceVideoId(), t, undefined, SST.WINDOW_SEC) : fallbackTrackLines(t))
+    .then(lines => {
+      cacheAddLines(key, lines, 'originals');
+      renderCurrent();
+    })
+    .catch(err => log.debug('Fallback source lines unavailable', err));
+}
+
+async function fallbackTrackLines(t) {
+  // Source lines for the "translation unavailable" view when /chunks can't provide them
+  const all = await loadYoutubeTrack(state.videoId);
+  const { from, to } = windowBounds(t);
+  return all.filter(ln => ln.start >= from && ln.start < to);
+}
+
+// ========================= Caption sources =========================
+function usingYoutubeTrack() {
+  // A failed track load falls back to /chunks for this video
+  return !state.localSubs
+    && !!state.adapter?.youtube
+    && state.transcriptSource === SST.SOURCES.YOUTUBE
+    && !(state.ytTrack?.videoId === state.videoId && state.ytTrack.pref === state.captionTrack && state.ytTrack.status === 'failed');
+}
+
+function sourceVideoId() {
+  // Cache/persistence identity of the current caption source (local files/tracks never mix with /chunks)
+  if (!state.videoId) return null;
+  if (state.localSubs) return `${state.videoId}~local:${state.localSubs.id}`;
+  if (usingPageTrack()) return `${state.videoId}~track:${state.pageTrack?.key || 'none'}`;
+  if (usingYoutubeTrack()) return `${state.videoId}~yt:${state.captionTrack || 'auto'}`;
+  return state.videoId;
+}
+
+function sourceOffset() {
+  return state.localSubs ? state.localOffset : 0;
+}
+
+function playheadTime() {
+  // Current time in caption-source coordinates
+  return (state.videoEl?.currentTime || 0) - sourceOffset();
+}
+
+async function fetchOriginalLines(vid, center, signal, windowSec) {
+  let all = null;
+  if (state.localSubs) {
+    all = state.localSubs.lines;
+  } else if (usingYoutubeTrack()) {
+    try {
+      all = await loadYoutubeTrack(state.videoId);
+    } catch (err) {
+      log.warn('YouTube captions unavailable; falling back to backend transcript.', err.message);
+      // sourceVideoId() changes now, so results for this key would be mislabeled
+      throw Object.assign(new Error('Caption source changed'), { sourceChanged: true });
+    }
+    if (signal?.aborted) throw abortError();
+  } else if (usingPageTrack()) {
+    all = await loadPageTrack();
+    if (signal?.aborted) throw abortError();
+  }
+  if (!all) return fetchWindowChunks(vid, center, signal, windowSec);
+  // Each cue belongs to the window it starts in, so adjacent windows never translate it twice
+  const { from, to } = windowBounds(center, windowSec);
+  return all.filter(ln => ln.start >= from && ln.start < to);
+}
+
+function setLocalSubtitles(file, lines) {
+  const clean = (Array.isArray(lines) ? lines : [])
+    .filter(ln => Number.isFinite(ln?.start) && Number.isFinite(ln?.end) && typeof ln?.text === 'string')
+    .map(({ start, end, text }) => ({ start, end, text }))
+    .sort((a, b) => a.start - b.start);
+  if (!clean.length) throw new Error('Subtitle file has no usable cues.');
+  state.localSubs = { id: String(file?.id || Date.now()), name: file?.name || 'local file', lines: clean };
+  log.info('Local subtitles loaded:', state.localSubs.name, `(${clean.length} cues)`);
+  refreshNow();
+  return clean.length;
+}
+
+function clearLocalSubtitles() {
+  if (!state.localSubs) return;
+  log.info('Local subtitles cleared:', state.localSubs.name);
+  state.localSubs = null;
+  refreshNow();
+}
+
+// ========================= Page caption tracks (HTML5 adapter) =========================
+function usingPageTrack() {
+  // Non-YouTube pages have no /chunks transcript: the video's own track is the source
+  return !state.localSubs && state.adapter?.youtube === false;
+}
+
+function pageTrackKey(track) {
+  return `${track.language || 'und'}:${track.label || track.kind}`.replace(/\|/g, '%7C');
+}
+
+function selectPageTrack(video) {
+  // The track the page shows, else one in the page's language, else the first
+  const tracks = captionTracks(video);
+  const lang = (document.documentElement.lang || '').split('-')[0].toLowerCase();
+  const track = tracks.find(t => t.mode === 'showing')
+    || (lang && tracks.find(t => (t.language || '').toLowerCase().startsWith(lang)))
+    || tracks[0];
+  if (!track) return null;
+  if (state.pageTrack?.track === track) return state.pageTrack;
+  releasePageTrack();
+  state.pageTrack = { key: pageTrackKey(track), track, restoreMode: track.mode, promise: null };
+  // Cues only load for non-disabled tracks; 'hidden' also stops the browser drawing its own captions
+  track.mode = 'hidden';
+  log.info('Page caption track:', state.pageTrack.key);
+  return state.pageTrack;
+}
+
+function releasePageTrack() {
+  // Hands the track back to the page as we found it
+  const entry = state.pageTrack;
+  state.pageTrack = null;
+  if (entry && entry.track.mode !== entry.restoreMode) {
+    try { entry.track.mode = entry.restoreMode; } catch {}
+  }
+}
+
+function cuesToLines(cues) {
+  return Array.from(cues || [])
+    .map(c => ({ start: c.startTime, end: c.endTime, text: SST_SUBTITLES.cleanCueText(c.text || '') }))
+    .filter(ln => ln.text && ln.end > ln.start)
+    .sort((a, b) => a.start - b.start);
+}
+
+function loadPageTrack() {
+  // Resolves with the track's cues as lines. Cues are re-read on every call: streaming players
+  // (HLS/DASH) append them as segments load.
+  const entry = state.pageTrack;
+  if (!entry) return Promise.reject(new Error('Video has no caption tracks'));
+  if (!entry.promise) {
+    const { track } = entry;
+    const el = Array.from(state.videoEl?.querySelectorAll('track') || []).find(t => t.track === track);
+    entry.promise = new Promise((resolve, reject) => {
+      const failed = () => reject(new Error('Caption track failed to load'));
+      // <track> elements load asynchronously; script-added tracks already hold their cues
+      if (!el || el.readyState === 2) return resolve();
+      if (el.readyState === 3) return failed();
+      el.addEventListener('load', () => resolve(), { once: true });
+      el.addEventListener('error', failed, { once: true });
+    });
+    entry.promise.catch(() => { if (state.pageTrack === entry) entry.promise = null; });
+  }
+  return entry.promise.then(() => cuesToLines(entry.track.cues));
+}
+
+// ========================= YouTube caption tracks =========================
+function playerResponseFromDocument(videoId) {
+  // Initial page load: the inline <script> still describes the current video
+  for (const script of document.scripts) {
+    const text = script.textContent;
+    if (!text || !text.includes('ytInitialPlayerResponse')) continue;
+    const pr = SST_YT_CAPTIONS.extractPlayerResponse(text);
+    if (pr?.videoDetails?.videoId === videoId) return pr;
+  }
+  return null;
+}
+
+function loadPlayerResponse(videoId) {
+  // After SPA navigation the inline data is stale, so fetch the watch page (same origin) once per video
+  if (state.ytPlayer?.videoId === videoId) return state.ytPlayer.promise;
+  const promise = (async () => {
+    const inline = playerResponseFromDocument(videoId);
+    if (inline) return inline;
+    const res = await fetch(`/watch?v=${encodeURIComponent(videoId)}`, { credentials: 'include' });
+    if (!res.ok) throw new Error(`watch page ${res.status}`);
+    const pr = SST_YT_CAPTIONS.extractPlayerResponse(await res.text());
+    if (!pr) throw new Error('No player response in watch page');
+    return pr;
+  })();
+  state.ytPlayer = { videoId, promise };
+  promise.catch(() => { if (state.ytPlayer?.promise === promise) state.ytPlayer = null; });
+  return promise;
+}
+
+async function listYoutubeTracks(videoId) {
+  return SST_YT_CAPTIONS.listTracks(await loadPlayerResponse(videoId));
+}
+
+function loadYoutubeTrack(videoId) {
+  // Resolves with all lines of the preferred track; shared by every window of this video
+  const pref = state.captionTrack;
+  const cur = state.ytTrack;
+  if (cur?.videoId === videoId && cur.pref === pref) return cur.promise;
+
+  const entry = { videoId, pref, status: 'loading', track: null, lines: null, promise: null };
+  entry.promise = (async () => {
+    const track = SST_YT_CAPTIONS.pickTrack(await listYoutubeTracks(videoId), pref);
+    if (!track) throw new Error('Video has no caption tracks');
+    const res = await fetch(SST_YT_CAPTIONS.timedTextUrl(track, 'json3', location.origin), { credentials: 'include' });
+    if (!res.ok) throw new Error(`timedtext ${res.status}`);
+    const lines = SST_YT_CAPTIONS.parseTimedText(await res.text());
+    if (!lines.length) throw new Error('Caption track is empty');
+    log.info('YouTube caption track loaded:', track.label, `(${lines.length} lines)`);
+    Object.assign(entry, { status: 'ready', track, lines });
+    return lines;
+  })();
+  entry.promise.catch(() => { entry.status = 'failed'; });
+  state.ytTrack = entry;
+  return entry.promise;
+}
+
+// ========================= Glossary =========================
+function activeGlossary() {
+  // undefined when empty, so requests without a glossary keep their cache keys
+  return SST_GLOSSARY.isEmpty(state.glossary) ? undefined : state.glossary;
+}
+
+function resolveGlossary() {
+  state.glossary = SST_GLOSSARY.resolve(state.glossaryStore, state.channel?.id);
+  const sig = SST_GLOSSARY.signature(state.glossary);
+  if (sig === state.glossarySig) return;
+  state.glossarySig = sig;
+  log.info('Glossary active:', state.glossary.terms.length, 'terms,', state.glossary.doNotTranslate.length, 'protected');
+  // Cached translations were made under the old glossary
+  if (state.inflight) {
+    try { state.inflight.ctrl.abort(); } catch {}
+    state.inflight = null;
+  }
+  dropVideoCache(state.videoId);
+  refreshNow();
+}
+
+// ========================= Source language =========================
+function effectiveSource() {
+  // Pinned source, else this video's detected one; null → unknown (backend detects)
+  if (state.sourceLanguage !== SST_LANGUAGES.AUTO) return state.sourceLanguage;
+  return state.detectedSource?.videoId === sourceVideoId() ? state.detectedSource.code : null;
+}
+
+function detectSource(lines) {
+  // YouTube tracks declare their language; other sources are guessed from the text once per video
+  const vid = sourceVideoId();
+  if (usingYoutubeTrack() && state.ytTrack?.status === 'ready' && state.ytTrack.videoId === state.videoId) {
+    return SST_LANGUAGES.get(state.ytTrack.track?.languageCode)?.code || null;
+  }
+  if (state.detectedSource?.videoId === vid) return state.detectedSource.code;
+  const code = SST_LANGUAGES.detect((lines || []).map(ln => ln.text).join(' '));
+  if (code) {
+    state.detectedSource = { videoId: vid, code };
+    log.info('Detected source language:', code);
+  }
+  return code;
+}
+
+function sourceMeta(lines) {
+  // Fields translate requests carry: the user's setting (cache identity) plus our guess when on auto
+  const source = state.sourceLanguage;
+  if (source !== SST_LANGUAGES.AUTO) return { source };
+  const detectedSource = detectSource(lines);
+  return detectedSource ? { source, detectedSource } : { source };
+}
+
+function checkGlossary(lines, originals = []) {
+  if (!activeGlossary()) return;
+  const byStart = new Map(originals.map(o => [o.start, o.text]));
+  const withSource = lines.map(ln => (ln.source === undefined ? { ...ln, source: byStart.get(ln.start) } : ln));
+  const found = SST_GLOSSARY.findViolations(withSource, state.glossary);
+  if (!found.length) return;
+  for (const v of found) {
+    log.warn(`Glossary violation @${v.start.toFixed(1)}s: "${v.term}" should be "${v.expected}" →`, v.text);
+  }
+  const stamped = found.map(v => ({ ...v, videoId: state.videoId, ts: Date.now() }));
+  state.glossaryViolations = [...stamped.reverse(), ...state.glossaryViolations].slice(0, SST.GLOSSARY_MAX_VIOLATIONS);
+}
+
+// ========================= Hint profiles & channel scope =========================
+function resolveHint() {
+  const res = SST_PROFILES.resolve(
+    state.hintProfiles,
+    { videoId: state.videoId, channelId: state.channel?.id },
+    state.defaultHint
+  );
+  state.hintProfile = res.profile ? { id: res.profile.id, name: res.profile.name, scope: res.scope } : null;
+  if (res.hint === state.hint) return;
+  state.hint = res.hint;
+  log.info('Hint profile:', state.hintProfile ? `${state.hintProfile.name} (${res.scope})` : 'default');
+  refreshNow(); // hint is part of the cache key, so this re-keys hydration
+}
+
+async function loadChannel(videoId) {
+  // Channel-scoped entries need the channel id; only look it up when such entries exist
+  if (!state.adapter?.youtube) return null;
+  if (!videoId || state.channel?.videoId === videoId) return state.channel;
+  const pr = await loadPlayerResponse(videoId);
+  if (videoId !== state.videoId) return null;
+  const details = pr?.videoDetails || {};
+  state.channel = { videoId, id: details.channelId || null, name: details.author || '' };
+  return state.channel;
+}
+
+function refreshChannelScoped() {
+  // Re-resolves glossary and hint profile; fetches the channel id first when anything is channel-bound
+  const resolveAll = () => { resolveGlossary(); resolveHint(); };
+  const needsChannel = SST_GLOSSARY.hasChannelScopes(state.glossaryStore)
+    || SST_PROFILES.hasChannelBindings(state.hintProfiles);
+  if (!needsChannel || !state.videoId) return resolveAll();
+  resolveHint(); // video bindings apply right away
+  loadChannel(state.videoId)
+    .catch(err => log.debug('Channel lookup failed', err))
+    .finally(resolveAll);
 }
 
 // ========================= Playback & hydration =========================
 function isAdPlaying() {
-  const shell = findPlayerShell();
-  return !!shell?.classList?.contains('ad-showing');
+  const shell = state.overlayEl?.parentElement;
+  return !!state.adapter?.youtube && !!shell?.classList?.contains('ad-showing');
 }
 
 function onTimeTick() {
@@ -186,63 +1210,972 @@ function onTimeTick() {
   if (now - state.lastTickAt < (1000 / SST.TICK_HZ)) return;
   state.lastTickAt = now;
 
-  const t = state.videoEl.currentTime || 0;
-  const vid = state.videoId;
+  const t = playheadTime();
+  const vid = sourceVideoId();
   if (!vid) return;
 
+  syncCaptionPosition();
+
   if (isAdPlaying()) {
     setCaptionText(''); // hide during ads
+    cancelSpeech();
     return;
   }
 
-  const ckey = cacheKey(vid, state.language, t);
-  const cached = cacheGet(ckey);
-  if (cached) {
-    renderFromWindow(cached, t);
+  ensureCorrections(vid, state.language);
+  const key = cacheKey(vid, state.language, state.hint);
+  renderFromWindow(cacheGet(key, t), t, cacheGet(key, t, 'originals'));
+  highlightTranscript(key, t);
+  scheduleHydration(key, t);
+}
+
+function renderCurrent() {
+  if (!state.videoEl || !state.videoId || state.mode !== SST.MODES.ACTIVE) return;
+  const t = playheadTime();
+  const key = cacheKey(sourceVideoId(), state.language, state.hint);
+  renderFromWindow(cacheGet(key, t), t, cacheGet(key, t, 'originals'));
+}
+
+function refreshNow() {
+  // Source/offset changed: tick immediately (the scheduler aborts requests for the old key)
+  state.lastTickAt = 0;
+  onTimeTick();
+}
+
+function scheduleHydration(key, t) {
+  // Roughly one request per window: fetch at the playhead when it is not covered
+  // (seek or first tick), otherwise prefetch the next window before coverage runs out.
+  const inf = state.inflight;
+  const cover = cacheCoverage(key, t);
+  if (!cover && backendBlocked()) return hydrateOriginals(t); // backing off / circuit open
+  if (!cover) {
+    if (inf && inf.key === key && inf.from <= t && t < inf.to) return; // already on its way
+    hydrateWindow(t);
+    return;
+  }
+  if (inf || backendBlocked()) return;
+
+  const rate = state.videoEl?.playbackRate || 1;
+  const lead = SST.PREFETCH_LEAD_SEC * Math.max(1, rate); // media seconds consumed while fetching
+  const duration = (state.videoEl?.duration ?? NaN) - sourceOffset();
+  if (cover.to - t > lead) return;
+  if (Number.isFinite(duration) && cover.to >= duration) return;
+  log.debug('Prefetching next window from', cover.to.toFixed(1), { rate });
+  hydrateWindow(cover.to + SST.WINDOW_SEC / 2);
+}
+
+async function loadWindow(vid, lang, hint, center, signal, hooks = {}) {
+  // Persistent cache first, then /chunks → translate; results land in the interval cache.
+  // hooks: { windowSec, lookupAt, onOriginals(), onLine(line) }
+  const key = cacheKey(vid, lang, hint);
+  const windowSec = hooks.windowSec || SST.WINDOW_SEC;
+  const { from, to } = windowBounds(center, windowSec);
+
+  const persisted = validPersisted(await lookupPersisted(vid, lang, hint, hooks.lookupAt ?? center, signal));
+  if (persisted) {
+    cacheSet(key, persisted.from, persisted.to, persisted.lines);
+    checkGlossary(persisted.lines);
+    recordWindowLoad(true);
     return;
   }
+  const t0 = performance.now();
 
-  // Cancel previous inflight
+  const origLines = await fetchOriginalLines(vid, center, signal, windowSec);
+  cacheAddLines(key, origLines, 'originals');
+  hooks.onOriginals?.();
+  // Fragments are translated as whole sentences, then spread back over their own time spans
+  const sentences = SST_SEGMENTER.merge(origLines);
+  const byStart = new Map(sentences.map(s => [s.start, s]));
+  const onLine = (line) => {
+    const sentence = byStart.get(line.start);
+    const pieces = sentence ? SST_SEGMENTER.split(sentence, line.text) : [line];
+    cacheAddLines(key, pieces);
+    pieces.forEach(ln => hooks.onLine?.(ln));
+  };
+  // No from/to: the worker must not persist sentence-level lines; the split window is stored below
+  const meta = { videoId: vid, ...sourceMeta(origLines) };
+  const input = SST_CONTRACT.withIds(sentences); // ids align the translation (contract v1)
+  const translated = await translateWindowProgressive(input, lang, hint, signal, meta, onLine);
+  const lines = SST_SEGMENTER.redistribute(sentences, translated);
+  cacheSet(key, from, to, lines);
+  storePersisted(vid, lang, hint, from, to, lines);
+  checkGlossary(translated, sentences); // whole sentences: a term may straddle a fragment boundary
+  recordWindowLoad(false, performance.now() - t0);
+}
+
+function hydrateWindow(center) {
+  // Cancel previous inflight (it no longer covers what we need)
   if (state.inflight) {
     try { state.inflight.ctrl.abort(); } catch {}
     state.inflight = null;
   }
 
+  const vid = sourceVideoId();
+  const key = cacheKey(vid, state.language, state.hint);
+  const { from, to } = windowBounds(center);
   const ctrl = new AbortController();
-  state.inflight = { ctrl, kind: 'chunks' };
+  state.inflight = { ctrl, kind: 'chunks', key, from, to };
 
-  fetchWindowChunks(vid, t, ctrl.signal)
-    .then(origLines => {
-      state.inflight = { ctrl, kind: 'translate' };
-      return translateWindow(origLines, state.language, state.hint, ctrl.signal);
-    })
-    .then(translated => {
-      cacheSet(ckey, translated);
-      renderFromWindow(translated, t);
-      state.inflight = null;
+  loadWindow(vid, state.language, state.hint, center, ctrl.signal, {
+    onOriginals: () => {
+      // Originals render right away in "original only" / dual mode while translation lags
+      renderCurrent();
+      if (state.inflight?.ctrl === ctrl) state.inflight.kind = 'stream';
+    },
+    onLine: () => {
+      // Render each line as soon as it arrives, against the live playhead
+      if (state.inflight?.ctrl === ctrl) renderCurrent();
+    }
+  })
+    .then(() => {
+      if (state.inflight?.ctrl === ctrl) state.inflight = null;
+      recordSuccess();
+      renderCurrent();
     })
     .catch(err => {
       if (err.name === 'AbortError') return;
-      log.warn('Hydration error', err);
-      setState(SST.MODES.ERROR);
-      // brief fallback: clear caption
-      setCaptionText('');
-      // soft auto-recover: return to ACTIVE to allow next tick to retry
-      setTimeout(() => setState(SST.MODES.ACTIVE), 1200);
+      if (state.inflight?.ctrl === ctrl) state.inflight = null;
+      if (err.sourceChanged) return refreshNow();
+      // Stay ACTIVE: the scheduler waits out the backoff and the fallback shows source lines
+      recordFailure(err);
     });
 }
 
-function renderFromWindow(lines, t) {
+function pickLineAt(lines, t) {
   // Pick the line that spans current time; otherwise the closest future within tolerance.
-  let current = null;
   for (const ln of lines) {
-    if (t >= ln.start && t < ln.end) { current = ln; break; }
+    if (t >= ln.start && t < ln.end) return ln;
+  }
+  // look ahead a tiny bit to avoid flicker between gaps
+  return lines.find(ln => ln.start - t <= SST.CHUNK_AHEAD_SEC && ln.start > t) || null;
+}
+
+function renderFromWindow(lines, t, originals = []) {
+  const current = holdForReading(t) ? state.read.line : pickLineAt(readableLines(lines), t);
+  // Persisted/streamed translations carry `source`; fall back to raw /chunks lines
+  const orig = pickLineAt(originals, t);
+  const source = current?.source ?? orig?.text ?? '';
+  // Backend failing and nothing translated here: show the source line, marked as such
+  const fallback = !current && source && isDegraded() && state.display !== SST.DISPLAY.ORIGINAL;
+  if (state.display === SST.DISPLAY.TRANSLATED && !fallback) {
+    setCaptionText(current ? twoRows(current.text) : '');
+  } else if (state.display === SST.DISPLAY.DUAL && !fallback) {
+    setCaptionLines(source, current ? twoRows(current.text) : '');
+  } else {
+    setCaptionText(source, effectiveSource());
+  }
+  if (fallback) setCaptionNote(SST.FALLBACK_NOTE);
+  paceReading(current, t);
+  syncDubbing(current, t);
+}
+
+// ========================= Subtitle export =========================
+function firstGap(key, from, until) {
+  // Earliest uncovered time in [from, until), or null when fully covered
+  let t = from;
+  for (const r of cacheEntry(key)?.ranges || []) {
+    if (r.to <= t) continue;
+    if (r.from > t) break;
+    t = r.to;
+  }
+  return t < until ? t : null;
+}
+
+async function collectAllLines(vid, lang, hint, duration, signal) {
+  // Fills every uncovered range up to `duration` (sequentially, big windows), then returns all lines
+  const key = cacheKey(vid, lang, hint);
+  let requests = 0;
+  for (let gap = firstGap(key, 0, duration); gap !== null; gap = firstGap(key, gap, duration)) {
+    requests++;
+    log.debug('Export: filling gap at', gap.toFixed(1));
+    await loadWindow(vid, lang, hint, gap + SST.EXPORT_WINDOW_SEC / 2, signal, {
+      windowSec: SST.EXPORT_WINDOW_SEC,
+      lookupAt: gap // a persisted window must cover the gap start, or the loop would not advance
+    });
+  }
+  const entry = cacheEntry(key);
+  const originals = new Map((entry?.originals || []).map(o => [o.start, o.text]));
+  log.info(`Export: ${entry?.lines.length || 0} lines, ${requests} window(s) fetched.`);
+  return withCorrections(key, entry?.lines || [])
+    .filter(ln => ln.start < duration)
+    .map(ln => (ln.source === undefined && originals.has(ln.start)) ? { ...ln, source: originals.get(ln.start) } : ln);
+}
+
+function downloadText(filename, text, mime) {
+  const url = URL.createObjectURL(new Blob([text], { type: `${mime};charset=utf-8` }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.style.display = 'none';
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+async function exportSubtitles({ format = 'srt', bilingual = false } = {}) {
+  const fmt = SST_SUBTITLES.FORMATS[format];
+  if (!fmt) throw new Error(`Unsupported format: ${format}`);
+  state.videoId = state.videoId || getVideoIdFromUrl();
+  const vid = sourceVideoId();
+  if (!vid) throw new Error('Open a video first.');
+  const offset = sourceOffset();
+  const duration = (state.videoEl || state.adapter?.find()?.video)?.duration;
+  if (!Number.isFinite(duration)) throw new Error('Video duration unknown (live stream?).');
+
+  if (state.exportCtrl) try { state.exportCtrl.abort(); } catch {}
+  const ctrl = new AbortController();
+  state.exportCtrl = ctrl;
+  try {
+    const lines = (await collectAllLines(vid, state.language, state.hint, duration - offset, ctrl.signal))
+      .map(ln => (offset ? { ...ln, start: ln.start + offset, end: ln.end + offset } : ln));
+    if (!lines.length) throw new Error('No subtitles available for this video.');
+    const filename = `${state.videoId}.${state.language}${bilingual ? '.bilingual' : ''}.${fmt.ext}`;
+    downloadText(filename, SST_SUBTITLES.serialize(format, lines, { bilingual }), fmt.mime);
+    return { filename, count: lines.length };
+  } finally {
+    if (state.exportCtrl === ctrl) state.exportCtrl = null;
+  }
+}
+
+// ========================= Transcript panel =========================
+function formatClock(sec) {
+  const s = Math.max(0, Math.floor(sec));
+  const h = Math.floor(s / 3600);
+  const mm = String(Math.floor((s % 3600) / 60));
+  const ss = String(s % 60).padStart(2, '0');
+  return h ? `${h}:${mm.padStart(2, '0')}:${ss}` : `${mm}:${ss}`;
+}
+
+function ensureTranscriptPanel() {
+  // Sits at the top of the watch page's secondary column; Shorts and embeds have none
+  const host = document.querySelector(SST.SELECTORS.secondary);
+  if (!host) return null;
+  if (state.panel?.el.isConnected && host.contains(state.panel.el)) return state.panel;
+  removeTranscriptPanel();
+
+  const el = document.createElement('section');
+  el.id = SST.PANEL_ID;
+  el.className = 'sst-transcript';
+  el.setAttribute('aria-label', 'Translated transcript');
+
+  const header = document.createElement('div');
+  header.className = 'sst-transcript__header';
+  const title = document.createElement('span');
+  title.className = 'sst-transcript__title';
+  title.textContent = 'Transcript';
+  const search = document.createElement('input');
+  search.type = 'search';
+  search.className = 'sst-transcript__search';
+  search.placeholder = 'Search original or translation';
+  search.setAttribute('aria-label', 'Search transcript');
+  header.append(title, search);
+
+  const list = document.createElement('ol');
+  list.className = 'sst-transcript__list';
+
+  const empty = document.createElement('div');
+  empty.className = 'sst-transcript__empty';
+  empty.textContent = 'Lines appear here as they are translated.';
+
+  el.append(header, list, empty);
+  host.prepend(el);
+
+  state.panel = { el, list, search, empty, rows: new Map(), key: null, active: null, userScrollAt: 0, syncTimer: null };
+  search.addEventListener('input', filterTranscript);
+  // keystrokes in the box must not reach YouTube's shortcuts (k, j, l, f, …)
+  search.addEventListener('keydown', (e) => e.stopPropagation());
+  list.addEventListener('click', onTranscriptClick);
+  list.addEventListener('wheel', () => { if (state.panel) state.panel.userScrollAt = Date.now(); }, { passive: true });
+  list.addEventListener('touchmove', () => { if (state.panel) state.panel.userScrollAt = Date.now(); }, { passive: true });
+  syncTranscriptPanel();
+  log.info('Transcript panel injected.');
+  return state.panel;
+}
+
+function removeTranscriptPanel() {
+  if (!state.panel) return;
+  clearTimeout(state.panel.syncTimer);
+  try { state.panel.el.remove(); } catch {}
+  state.panel = null;
+}
+
+function scheduleTranscriptSync() {
+  const panel = state.panel;
+  if (!panel || panel.syncTimer) return;
+  panel.syncTimer = setTimeout(() => {
+    panel.syncTimer = null;
+    syncTranscriptPanel();
+  }, SST.PANEL_SYNC_MS);
+}
+
+function transcriptRow(ln) {
+  const li = document.createElement('li');
+  li.className = 'sst-transcript__row';
+  const time = document.createElement('span');
+  time.className = 'sst-transcript__time';
+  const text = document.createElement('span');
+  text.className = 'sst-transcript__text';
+  const source = document.createElement('span');
+  source.className = 'sst-transcript__source';
+  const edit = document.createElement('button');
+  edit.type = 'button';
+  edit.className = 'sst-transcript__edit';
+  edit.textContent = '✎';
+  edit.title = 'Correct this translation';
+  li.append(time, text, source, edit);
+  return li;
+}
+
+function fillTranscriptRow(li, ln) {
+  // Rows are reused across updates; only touch the DOM when the line changed
+  if (li.sstLine === ln || (li.sstLine?.text === ln.text && li.sstLine?.source === ln.source)) {
+    li.sstLine = ln;
+    return;
+  }
+  li.sstLine = ln;
+  li.classList.toggle('sst-transcript__row--corrected', ln.machine !== undefined);
+  const [time, text, source] = li.children;
+  time.textContent = formatClock(ln.start + sourceOffset());
+  text.textContent = ln.text;
+  setTextLanguage(text, state.language);
+  source.textContent = ln.source && ln.source !== ln.text ? ln.source : '';
+  setTextLanguage(source, effectiveSource());
+  li.dataset.search = `${ln.text}\n${ln.source || ''}`.toLowerCase();
+}
+
+function syncTranscriptPanel() {
+  // Reconcile the list with the interval cache of what is playing now (progressive fill)
+  const panel = state.panel;
+  if (!panel) return;
+  const key = cacheKey(sourceVideoId(), state.language, state.hint);
+  if (panel.key !== key) {
+    panel.list.replaceChildren();
+    panel.rows.clear();
+    panel.key = key;
+    panel.active = null;
+  }
+  const lines = withCorrections(key, cacheEntry(key)?.lines || []);
+  const keep = new Set();
+  let prev = null;
+  for (const ln of lines) {
+    keep.add(ln.start);
+    let li = panel.rows.get(ln.start);
+    if (!li) {
+      li = transcriptRow(ln);
+      panel.rows.set(ln.start, li);
+      // lines are sorted, so the new row goes right after the previous one
+      if (prev) prev.after(li);
+      else panel.list.prepend(li);
+    }
+    fillTranscriptRow(li, ln);
+    prev = li;
+  }
+  for (const [start, li] of panel.rows) {
+    if (keep.has(start)) continue;
+    li.remove();
+    panel.rows.delete(start);
   }
-  if (!current) {
-    // look ahead a tiny bit to avoid flicker between gaps
-    current = lines.find(ln => ln.start - t <= SST.CHUNK_AHEAD_SEC && ln.start > t) || null;
+  panel.empty.hidden = panel.rows.size > 0;
+  filterTranscript();
+}
+
+function filterTranscript() {
+  const panel = state.panel;
+  if (!panel) return;
+  const q = panel.search.value.trim().toLowerCase();
+  for (const li of panel.rows.values()) li.hidden = !!q && !li.dataset.search.includes(q);
+}
+
+function highlightTranscript(key, t) {
+  const panel = state.panel;
+  if (!panel) return;
+  if (panel.key !== key) syncTranscriptPanel(); // language/hint/source switched
+  const line = pickLineAt(cacheGet(key, t), t);
+  const li = line ? panel.rows.get(line.start) : null;
+  if (li === panel.active) return;
+  panel.active?.classList.remove('sst-transcript__row--active');
+  panel.active = li;
+  if (!li) return;
+  li.classList.add('sst-transcript__row--active');
+  // Scroll the list only (never the page), and leave it alone while the user browses/searches
+  const browsing = Date.now() - panel.userScrollAt < SST.PANEL_MANUAL_SCROLL_MS || panel.search.value;
+  if (!browsing && !li.hidden) {
+    panel.list.scrollTop = li.offsetTop - panel.list.clientHeight / 2 + li.clientHeight / 2; // list is the offsetParent
   }
-  setCaptionText(current ? current.text : '');
+}
+
+function onTranscriptClick(e) {
+  const li = e.target.closest?.('.sst-transcript__row');
+  const line = li?.sstLine;
+  if (!line || !state.videoEl) return;
+  if (e.target.closest('.sst-transcript__edit')) return openCorrectionEditor(line, li);
+  state.videoEl.currentTime = line.start + sourceOffset();
+  state.panel.userScrollAt = 0; // follow playback again from here
+}
+
+// ========================= Corrections =========================
+function ensureCorrections(vid, lang) {
+  // Loads the worker's stored corrections once per video/language
+  const key = `${vid}|${lang}`;
+  if (state.corrections?.key === key) return;
+  const entry = { key, byStart: new Map() };
+  state.corrections = entry;
+  bgRequest(SST.BG_MSG.CORRECTIONS_GET, { videoId: vid, language: lang })
+    .then(rows => {
+      if (state.corrections !== entry || !rows?.length) return;
+      for (const c of rows) if (!entry.byStart.has(c.start)) entry.byStart.set(c.start, c.text);
+      log.info('Corrections loaded:', rows.length);
+      renderCurrent();
+      scheduleTranscriptSync();
+    })
+    .catch(err => log.debug('Corrections unavailable', err));
+}
+
+function withCorrections(key, lines) {
+  // `key` is a cacheKey: corrections apply to every hint/glossary variant of the video + language.
+  // Corrected lines keep the machine translation in `machine`.
+  const corr = state.corrections;
+  if (!corr?.byStart.size || !key.startsWith(`${corr.key}|`)) return lines;
+  return lines.map(ln => (corr.byStart.has(ln.start)
+    ? { ...ln, text: corr.byStart.get(ln.start), machine: ln.machine ?? ln.text }
+    : ln));
+}
+
+async function saveCorrection(line, text) {
+  const vid = sourceVideoId();
+  ensureCorrections(vid, state.language);
+  const machine = line.machine ?? line.text;
+  const clean = String(text || '').trim();
+  const revert = !clean || clean === machine;
+  if (revert) state.corrections.byStart.delete(line.start);
+  else state.corrections.byStart.set(line.start, clean);
+  renderCurrent();
+  scheduleTranscriptSync();
+  try {
+    await bgRequest(SST.BG_MSG.CORRECTION_SAVE, {
+      videoId: vid,
+      language: state.language,
+      start: line.start,
+      end: line.end,
+      text: revert ? '' : clean, // '' deletes the stored correction
+      machine,
+      source: line.source,
+      backend: state.backend
+    });
+    log.info(revert ? 'Correction reverted' : 'Correction saved', `@${line.start.toFixed(1)}s`);
+  } catch (err) {
+    log.warn('Could not store correction', err);
+  }
+}
+
+function editCurrentLine() {
+  if (state.mode !== SST.MODES.ACTIVE || state.editor) return;
+  const t = playheadTime();
+  const line = pickLineAt(cacheGet(cacheKey(sourceVideoId(), state.language, state.hint), t), t);
+  if (line) openCorrectionEditor(line, state.overlayEl);
+}
+
+function openCorrectionEditor(line, host) {
+  // Small form over the caption (host = overlay) or inside a transcript row; pauses playback meanwhile
+  if (!host) return;
+  closeCorrectionEditor();
+  const form = document.createElement('form');
+  form.className = 'sst-editor';
+  const original = document.createElement('div');
+  original.className = 'sst-editor__source';
+  original.textContent = line.source || '';
+  setTextLanguage(original, effectiveSource());
+  const input = document.createElement('textarea');
+  input.className = 'sst-editor__input';
+  input.rows = 2;
+  input.value = line.text;
+  input.setAttribute('aria-label', 'Corrected translation');
+  setTextLanguage(input, state.language);
+  const actions = document.createElement('div');
+  actions.className = 'sst-editor__actions';
+  const button = (label, type = 'button') => {
+    const b = document.createElement('button');
+    b.type = type;
+    b.textContent = label;
+    return b;
+  };
+  const save = button('Save', 'submit');
+  const cancel = button('Cancel');
+  actions.append(save, cancel);
+  if (line.machine !== undefined) {
+    const revert = button('Revert');
+    revert.title = line.machine;
+    revert.addEventListener('click', () => {
+      saveCorrection(line, '');
+      closeCorrectionEditor();
+    });
+    actions.append(revert);
+  }
+  form.append(original, input, actions);
+
+  // Keep keys and clicks away from YouTube (shortcuts, click-to-pause) and the caption drag
+  for (const type of ['keydown', 'keyup', 'keypress', 'pointerdown', 'click', 'dblclick']) {
+    form.addEventListener(type, (e) => e.stopPropagation());
+  }
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeCorrectionEditor();
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      form.requestSubmit();
+    }
+  });
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveCorrection(line, input.value);
+    closeCorrectionEditor();
+  });
+  cancel.addEventListener('click', closeCorrectionEditor);
+
+  const video = state.videoEl;
+  const resume = !!video && !video.paused;
+  if (resume) video.pause();
+  host.append(form);
+  state.editor = { el: form, line, resume };
+  input.focus();
+  input.select();
+}
+
+function closeCorrectionEditor() {
+  const ed = state.editor;
+  if (!ed) return;
+  state.editor = null;
+  try { ed.el.remove(); } catch {}
+  if (ed.resume && state.videoEl?.paused) state.videoEl.play().catch(() => {});
+}
+
+// ========================= Vocabulary =========================
+function clickableWords(lang) {
+  // Vocabulary mode turns the translated (target-language) text into word spans
+  return state.vocabulary && lang === state.language;
+}
+
+function fillWords(el, text, show = (word) => word) {
+  // One span per word; whitespace (incl. two-row breaks) stays plain text. `show` changes what is
+  // displayed (romanization); the span keeps the original word for the lookup
+  const parts = String(text || '').split(/(\s+)/).filter(Boolean).map(part => {
+    if (/^\s+$/.test(part)) return document.createTextNode(part);
+    const span = document.createElement('span');
+    span.className = 'sst-word';
+    span.textContent = show(part);
+    if (span.textContent !== part) span.dataset.word = part;
+    return span;
+  });
+  el.replaceChildren(...parts);
+}
+
+function cleanWord(token) {
+  // Strips punctuation around a clicked token; combining marks (Malayalam vowel signs) are kept
+  return String(token || '').replace(/^[\p{P}\p{S}]+|[\p{P}\p{S}]+$/gu, '');
+}
+
+function videoUrlAt(start) {
+  // Link back to the line for the word list (Anki card); page URL on non-YouTube sites
+  if (!state.adapter?.youtube || !state.videoId) return location.href;
+  return `https://www.youtube.com/watch?v=${encodeURIComponent(state.videoId)}&t=${Math.floor(start)}s`;
+}
+
+async function openWordCard(token) {
+  // Card over the caption: word, gloss and source phrase from /lookup, Save to the word list
+  const word = cleanWord(token);
+  if (!word || state.mode !== SST.MODES.ACTIVE || !state.overlayEl) return;
+  const t = playheadTime();
+  const line = pickLineAt(readableLines(cacheGet(cacheKey(sourceVideoId(), state.language, state.hint), t)), t);
+  if (!line) return;
+  closeWordCard();
+  closeCorrectionEditor();
+
+  const el = (tag, cls, text = '') => {
+    const node = document.createElement(tag);
+    node.className = cls;
+    node.textContent = text;
+    return node;
+  };
+  const card = el('div', 'sst-wordcard');
+  card.setAttribute('role', 'dialog');
+  card.setAttribute('aria-label', `Meaning of ${word}`);
+  card.tabIndex = -1;
+  const head = el('div', 'sst-wordcard__word', word);
+  setTextLanguage(head, state.language);
+  const gloss = el('div', 'sst-wordcard__gloss', 'Looking up…');
+  setTextLanguage(gloss, effectiveSource());
+  const phrase = el('div', 'sst-wordcard__phrase', line.source || '');
+  setTextLanguage(phrase, effectiveSource());
+  const actions = el('div', 'sst-editor__actions');
+  const save = el('button', 'sst-wordcard__save', 'Save word');
+  const close = el('button', '', 'Close');
+  save.type = close.type = 'button';
+  actions.append(save, close);
+  card.append(head, gloss, phrase, actions);
+
+  // Keep keys and clicks away from YouTube (shortcuts, click-to-pause) and the caption drag
+  for (const type of ['keydown', 'keyup', 'keypress', 'pointerdown', 'click', 'dblclick']) {
+    card.addEventListener(type, (e) => e.stopPropagation());
+  }
+  card.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeWordCard();
+  });
+  close.addEventListener('click', closeWordCard);
+
+  const entry = {
+    word,
+    language: state.language,
+    sourceLanguage: effectiveSource(),
+    gloss: '',
+    sourcePhrase: '',
+    sentence: line.text.replace(/\s+/g, ' ').trim(),
+    sourceSentence: String(line.source || '').replace(/\s+/g, ' ').trim(),
+    videoId: state.videoId,
+    start: line.start,
+    url: videoUrlAt(line.start)
+  };
+  save.addEventListener('click', () => {
+    save.disabled = true;
+    bgRequest(SST.BG_MSG.WORD_SAVE, entry)
+      .then(() => { save.textContent = 'Saved ✓'; })
+      .catch(err => {
+        save.disabled = false;
+        log.warn('Saving word failed', err);
+      });
+  });
+
+  const video = state.videoEl;
+  const resume = !!video && !video.paused;
+  const ctrl = new AbortController();
+  state.wordCard = { el: card, ctrl, resume };
+  if (resume) video.pause();
+  state.overlayEl.append(card);
+  card.focus();
+
+  try {
+    const found = await bgRequest(SST.BG_MSG.WORD_LOOKUP, {
+      word, sentence: entry.sentence, source: entry.sourceSentence,
+      sourceLanguage: entry.sourceLanguage, target: state.language, backend: state.backend
+    }, ctrl.signal);
+    entry.gloss = found.gloss;
+    entry.sourcePhrase = found.sourcePhrase;
+    gloss.textContent = found.gloss || 'No gloss found';
+    if (found.sourcePhrase) phrase.textContent = found.sourcePhrase;
+  } catch (err) {
+    if (err.name === 'AbortError') return;
+    log.warn('Word lookup failed', err);
+    gloss.textContent = 'Lookup unavailable; the word can still be saved';
+    card.classList.add('sst-wordcard--failed');
+  }
+}
+
+function closeWordCard() {
+  const wc = state.wordCard;
+  if (!wc) return;
+  state.wordCard = null;
+  try { wc.ctrl.abort(); } catch {}
+  try { wc.el.remove(); } catch {}
+  if (wc.resume && state.videoEl?.paused) state.videoEl.play().catch(() => {});
+}
+
+// ========================= Reading speed =========================
+function readingSec(text) {
+  // Wall-clock seconds needed to read `text` at the chosen speed
+  return String(text || '').replace(/\s+/g, ' ').trim().length / state.reading.cps;
+}
+
+function viewerRate() {
+  // The viewer's playback rate, not our own slow-down
+  const r = state.read;
+  const rate = state.videoEl?.playbackRate || 1;
+  return r.slowRate !== null && rate === r.slowRate ? r.restoreRate : rate;
+}
+
+function readableLines(lines) {
+  // Display timings: a line too dense to read in its span stays up into the following gap, or,
+  // when the next line follows right away, shares a two-row caption with it
+  if (!state.reading.enabled || !lines.length) return lines;
+  const rate = viewerRate();
+  const out = [];
+  for (let i = 0; i < lines.length; i++) {
+    const ln = lines[i];
+    const next = lines[i + 1];
+    const needEnd = ln.start + readingSec(ln.text) * rate; // media time the line must last until
+    if (ln.end >= needEnd) {
+      out.push(ln);
+    } else if (!next || next.start >= needEnd) {
+      out.push({ ...ln, end: needEnd });
+    } else if (canMergeLines(ln, next)) {
+      const bothEnd = Math.min(ln.start + readingSec(`${ln.text} ${next.text}`) * rate, lines[i + 2]?.start ?? Infinity);
+      out.push({
+        start: ln.start,
+        end: Math.max(next.end, bothEnd),
+        text: `${ln.text.trim()}\n${next.text.trim()}`,
+        source: [ln.source, next.source].filter(Boolean).join('\n') || undefined
+      });
+      i++;
+    } else {
+      out.push({ ...ln, end: Math.max(ln.end, next.start) });
+    }
+  }
+  return out;
+}
+
+function canMergeLines(ln, next) {
+  // Two single-row lines that follow each other closely
+  return next.start - ln.end <= SST.READING.MERGE_GAP_SEC
+    && !ln.text.includes('\n') && !next.text.includes('\n')
+    && ln.text.trim().length <= SST.READING.ROW_CHARS && next.text.trim().length <= SST.READING.ROW_CHARS;
+}
+
+function twoRows(text) {
+  // Breaks an overlong single line at the space nearest its middle
+  if (!state.reading.enabled || !text || text.includes('\n') || text.length <= SST.READING.ROW_CHARS) return text;
+  const mid = text.length / 2;
+  let best = -1;
+  for (let i = text.indexOf(' '); i !== -1; i = text.indexOf(' ', i + 1)) {
+    if (best === -1 || Math.abs(i - mid) < Math.abs(best - mid)) best = i;
+  }
+  return best === -1 ? text : `${text.slice(0, best)}\n${text.slice(best + 1)}`;
+}
+
+function paceReading(line, t) {
+  // Called on every render with the displayed line: 'slow' adapts the playback rate per line
+  const r = state.read;
+  const video = state.videoEl;
+  if (!video || r.holding) return;
+  if (r.slowRate !== null && video.playbackRate !== r.slowRate) {
+    r.slowRate = r.restoreRate = null; // the viewer picked another speed meanwhile; keep theirs
+  }
+  if ((line?.start ?? null) === r.lineStart) return;
+  r.line = line;
+  r.lineStart = line?.start ?? null;
+  r.shownAt = performance.now();
+  if (!state.reading.enabled || state.reading.adapt !== 'slow') return restorePlaybackRate();
+
+  const rate = viewerRate();
+  const needSec = line ? readingSec(line.text) : 0;
+  if (!line || (line.end - t) / rate >= needSec) return restorePlaybackRate();
+  const slow = Math.round(Math.max(SST.READING.MIN_RATE, Math.min(rate, (line.end - t) / needSec)) * 100) / 100;
+  if (r.restoreRate === null) r.restoreRate = rate;
+  r.slowRate = slow;
+  video.playbackRate = slow;
+  recordEvent('reading', { action: 'slow', rate: slow });
+}
+
+function restorePlaybackRate() {
+  const r = state.read;
+  if (r.slowRate === null) return;
+  if (state.videoEl?.playbackRate === r.slowRate) state.videoEl.playbackRate = r.restoreRate;
+  r.slowRate = r.restoreRate = null;
+}
+
+function holdForReading(t) {
+  // 'pause': the displayed line's time is up but it has not been readable for long enough yet
+  const r = state.read;
+  if (r.holding) return true;
+  const video = state.videoEl;
+  if (!state.reading.enabled || state.reading.adapt !== 'pause' || !r.line || !video || video.paused) return false;
+  if (t < r.line.end || t - r.line.end > SST.READING.LATE_SEC) return false; // at its end, not after a seek
+  const leftMs = readingSec(r.line.text) * 1000 - (performance.now() - r.shownAt);
+  if (leftMs <= 0) return false;
+  r.holding = true;
+  video.pause();
+  r.holdTimer = setTimeout(releaseReadingHold, Math.min(leftMs, SST.READING.MAX_HOLD_MS));
+  recordEvent('reading', { action: 'pause', ms: Math.round(Math.min(leftMs, SST.READING.MAX_HOLD_MS)) });
+  return true;
+}
+
+function releaseReadingHold(resume = true) {
+  const r = state.read;
+  if (!r.holding) return;
+  r.holding = false;
+  r.line = null; // read by now; don't hold for it again
+  clearTimeout(r.holdTimer);
+  if (resume) state.videoEl?.play().catch(() => {});
+}
+
+function onReadingPlay() {
+  // The viewer resumed during a hold
+  releaseReadingHold(false);
+}
+
+function resetReading() {
+  // Seek, stop or settings change: drop the pace of the old line
+  releaseReadingHold(false);
+  restorePlaybackRate();
+  const r = state.read;
+  r.line = null;
+  r.lineStart = null;
+}
+
+function applyReading(settings) {
+  const [lo, hi] = SST.READING.CPS_RANGE;
+  const cps = Number(settings.cps);
+  state.reading = {
+    enabled: settings.enabled !== false,
+    cps: Number.isFinite(cps) ? Math.min(hi, Math.max(lo, cps)) : SST.READING.CPS,
+    adapt: SST.READING.ADAPT.includes(settings.adapt) ? settings.adapt : 'none'
+  };
+  resetReading();
+}
+
+// ========================= Spoken dubbing =========================
+function dubbingAvailable() {
+  return state.dubbing.enabled && typeof speechSynthesis !== 'undefined';
+}
+
+function pickVoice(lang) {
+  // A voice for the target language, preferring local (offline, low-latency) ones; cached per language
+  const d = state.dub;
+  if (d.voice?.lang === lang) return d.voice.voice;
+  const base = lang.toLowerCase();
+  const matches = speechSynthesis.getVoices().filter(v => v.lang.toLowerCase().split(/[-_]/)[0] === base);
+  const voice = matches.find(v => v.localService) || matches[0] || null;
+  // getVoices() is empty until the browser loaded them; don't cache that
+  if (speechSynthesis.getVoices().length) d.voice = { lang, voice };
+  if (!voice && d.voiceMissing !== lang) {
+    d.voiceMissing = lang;
+    log.warn(`No speech voice for "${lang}"; using the browser default.`);
+  }
+  return voice;
+}
+
+function fitUtterance(text, slotSec, rate) {
+  // { text, rate } that fits `slotSec` of wall-clock time under the overflow policy ('pause' fits later)
+  const needSec = text.length / (SST.DUB.CHARS_PER_SEC * rate);
+  if (needSec <= slotSec || state.dubbing.overflow === 'pause') return { text, rate };
+  if (state.dubbing.overflow === 'speed') return { text, rate: Math.min(SST.DUB.MAX_RATE, rate * needSec / slotSec) };
+  const maxChars = Math.floor(slotSec * SST.DUB.CHARS_PER_SEC * rate);
+  const cut = text.slice(0, maxChars + 1); // one extra char: a space there means the last word fits
+  const atWord = cut.lastIndexOf(' ');
+  return { text: `${(atWord > maxChars / 2 ? cut.slice(0, atWord) : cut.slice(0, maxChars)).trim()}…`, rate };
+}
+
+function syncDubbing(line, t) {
+  // Called on every render: speaks `line` once when it becomes active
+  if (!dubbingAvailable() || !state.videoEl) return;
+  const d = state.dub;
+  if (holdForSpeech(t)) return;
+  if (!line || line.start === d.lineStart || t < line.start || t >= line.end) return;
+  d.lineStart = line.start;
+  speakLine(line, line.text.trim(), t);
+}
+
+function speakLine(line, text, t) {
+  // Speaks `text` in what is left of `line` at the current playback rate; false when it won't fit
+  const d = state.dub;
+  const video = state.videoEl;
+  const playbackRate = video.playbackRate || 1;
+  const slotSec = (line.end - t) / playbackRate; // wall-clock time left for this line
+  if (slotSec < SST.DUB.MIN_SLOT_SEC) return false;
+  const fit = fitUtterance(text, slotSec, Math.min(SST.DUB.MAX_RATE, playbackRate));
+  if (!fit.text) return false;
+
+  speechSynthesis.cancel(); // a line still talking is out of sync by now
+  const u = new SpeechSynthesisUtterance(fit.text);
+  u.lang = state.language;
+  u.voice = pickVoice(state.language);
+  u.rate = fit.rate;
+  u.onstart = duckVideo;
+  // Where the voice is, so a rate change can carry on from there (voices without boundary events restart)
+  u.onboundary = (e) => { if (d.utterance === u && e.name === 'word') d.spoken = e.charIndex; };
+  u.onend = u.onerror = () => {
+    if (d.utterance !== u) return; // cancelled in favour of a newer line
+    d.utterance = null;
+    restoreVideoVolume();
+    releaseHold();
+  };
+  d.utterance = u;
+  d.line = line;
+  d.spoken = 0;
+  if (video.paused) return true; // spoken on 'play'
+  speechSynthesis.speak(u);
+  return true;
+}
+
+function onDubRateChange() {
+  // The utterance was fitted to the old speed: re-fit the rest of the line to the new one. While
+  // paused the voice is paused mid-line too and simply resumes.
+  const d = state.dub;
+  if (!d.utterance || !d.line || d.holding || !dubbingAvailable() || state.videoEl.paused) return;
+  const rest = d.utterance.text.slice(d.spoken).trim();
+  const t = playheadTime();
+  if (rest && t < d.line.end && speakLine(d.line, rest, t)) return;
+  // No time left for it: fall silent, but don't repeat the line (lineStart stays)
+  d.utterance = null;
+  speechSynthesis.cancel();
+  restoreVideoVolume();
+}
+
+function holdForSpeech(t) {
+  // 'pause' policy: the line's slot is over but the voice isn't — hold the video until it is
+  const d = state.dub;
+  if (d.holding) return true;
+  if (state.dubbing.overflow !== 'pause' || !d.utterance || !d.line || state.videoEl.paused) return false;
+  if (t < d.line.end || !speechSynthesis.speaking) return false;
+  d.holding = true;
+  state.videoEl.pause();
+  d.holdTimer = setTimeout(() => {
+    log.debug('Speech hold timed out');
+    cancelSpeech();
+  }, SST.DUB.MAX_HOLD_MS);
+  return true;
+}
+
+function releaseHold() {
+  const d = state.dub;
+  if (!d.holding) return;
+  d.holding = false;
+  clearTimeout(d.holdTimer);
+  state.videoEl?.play().catch(() => {});
+}
+
+function duckVideo() {
+  const video = state.videoEl;
+  if (!video || state.dub.restoreVolume !== null) return;
+  state.dub.restoreVolume = video.volume;
+  video.volume = video.volume * SST.DUB.DUCK_VOLUME;
+}
+
+function restoreVideoVolume() {
+  const d = state.dub;
+  if (d.restoreVolume === null) return;
+  if (state.videoEl) state.videoEl.volume = d.restoreVolume;
+  d.restoreVolume = null;
+}
+
+function cancelSpeech() {
+  // Seek, ad, stop or disable: silence now and let the line at the new position speak
+  const d = state.dub;
+  d.utterance = null;
+  d.line = null;
+  d.lineStart = null;
+  if (typeof speechSynthesis !== 'undefined') speechSynthesis.cancel();
+  restoreVideoVolume();
+  releaseHold();
+}
+
+function onDubPause() {
+  if (state.dub.holding || !state.dub.utterance) return; // our own hold keeps talking
+  speechSynthesis.pause();
+}
+
+function onDubPlay() {
+  const d = state.dub;
+  if (!d.utterance || !dubbingAvailable()) return;
+  if (speechSynthesis.paused) speechSynthesis.resume();
+  else if (!speechSynthesis.speaking && !speechSynthesis.pending) speechSynthesis.speak(d.utterance);
+}
+
+function applyDubbing(settings) {
+  const next = {
+    enabled: !!settings.enabled,
+    overflow: SST.DUB.OVERFLOW.includes(settings.overflow) ? settings.overflow : 'speed'
+  };
+  const turnedOff = state.dubbing.enabled && !next.enabled;
+  state.dubbing = next;
+  if (turnedOff) cancelSpeech();
 }
 
 // ========================= Event wiring & lifecycle =========================
@@ -256,7 +2189,28 @@ function attachVideoListeners() {
     onTimeTick();
   });
   state.videoEl.addEventListener('play', () => setCaptionText(''));
-  state.videoEl.addEventListener('pause', () => setCaptionText(''));
+  state.videoEl.addEventListener('pause', () => {
+    // A reading hold or the word card keeps the line up
+    if (!state.read.holding && !state.wordCard) setCaptionText('');
+  });
+  state.videoEl.addEventListener('seeking', cancelSpeech);
+  state.videoEl.addEventListener('seeking', resetReading);
+  state.videoEl.addEventListener('play', onReadingPlay);
+  state.videoEl.addEventListener('pause', onDubPause);
+  state.videoEl.addEventListener('play', onDubPlay);
+  state.videoEl.addEventListener('ratechange', onDubRateChange);
+}
+
+function claimPlayerFrame(playing) {
+  // Tells the worker this frame owns the tab's player, so the popup messages only this frame
+  // (a page with its own player and a YouTube embed runs one content script per frame)
+  bgRequest(SST.BG_MSG.FRAME_CLAIM, { playing })
+    .catch(err => log.debug('Frame claim failed', err));
+}
+
+function onMediaPlay(e) {
+  // Any video of this frame, attached or not: the popup's first Start must reach the right frame
+  if (e.target instanceof HTMLVideoElement) claimPlayerFrame(true);
 }
 
 function detachVideoListeners() {
@@ -266,22 +2220,39 @@ function detachVideoListeners() {
   state.videoEl.removeEventListener('ratechange', () => {});
   state.videoEl.removeEventListener('play', () => {});
   state.videoEl.removeEventListener('pause', () => {});
+  state.videoEl.removeEventListener('seeking', cancelSpeech);
+  state.videoEl.removeEventListener('seeking', resetReading);
+  state.videoEl.removeEventListener('play', onReadingPlay);
+  state.videoEl.removeEventListener('pause', onDubPause);
+  state.videoEl.removeEventListener('play', onDubPlay);
+  state.videoEl.removeEventListener('ratechange', onDubRateChange);
 }
 
 function injectIfReady() {
-  const player = findPlayerShell();
-  const vid = findVideoEl();
-  if (!player || !vid) return false;
+  const found = state.adapter?.find();
+  if (!found) return false;
 
-  state.videoEl = vid;
-  state.overlayEl = ensureOverlay(player);
+  state.videoEl = found.video;
+  if (!state.adapter.youtube) {
+    positionShell(found.shell);
+    selectPageTrack(found.video);
+  }
+  state.overlayEl = ensureOverlay(found.shell);
+  if (state.transcriptPanel) ensureTranscriptPanel();
   attachVideoListeners();
   return true;
 }
 
 function removeOverlayAndListeners() {
+  closeCorrectionEditor();
+  closeWordCard();
+  cancelSpeech();
+  resetReading();
   detachVideoListeners();
   clearOverlay();
+  removeTranscriptPanel();
+  releasePageTrack();
+  releaseShell();
   state.videoEl = null;
   state.overlayEl = null;
 }
@@ -289,7 +2260,9 @@ function removeOverlayAndListeners() {
 function setState(next) {
   if (state.mode === next) return;
   log.info(`State: ${state.mode} → ${next}`);
+  recordEvent('state', { from: state.mode, to: next });
   state.mode = next;
+  notifyStatus();
 }
 
 function stopAll(activityNote = 'stop') {
@@ -303,16 +2276,31 @@ function stopAll(activityNote = 'stop') {
   log.info('Stopped:', activityNote);
 }
 
+function dropVideoCache(videoId) {
+  if (!videoId) return;
+  for (const k of Array.from(state.cache.keys())) {
+    if (k.startsWith(`${videoId}|`) || k.startsWith(`${videoId}~`)) state.cache.delete(k);
+  }
+}
+
 function resetForNavigation() {
   stopAll('nav');
-  // Clear only entries for prior video to avoid cross-video bleed
-  if (state.videoId) {
-    for (const k of Array.from(state.cache.keys())) {
-      if (k.startsWith(`${state.videoId}|`)) state.cache.delete(k);
-    }
+  if (state.exportCtrl) {
+    try { state.exportCtrl.abort(); } catch {}
+    state.exportCtrl = null;
   }
-  state.videoId = getVideoIdFromUrl();
+  // Clear only entries for prior video to avoid cross-video bleed
+  dropVideoCache(state.videoId);
+  // A local subtitle file belongs to the video it was loaded for
+  clearLocalSubtitles();
+  syncAdapter();
+  state.channel = null;
+  state.detectedSource = null;
+  state.stats = { hits: 0, misses: 0, lastLatencyMs: null, avgLatencyMs: null };
   log.info('Navigation detected. New videoId:', state.videoId);
+  recordEvent('nav', { videoId: state.videoId, player: state.adapter?.name || null });
+  notifyStatus();
+  refreshChannelScoped();
 }
 
 // ========================= SPA detection =========================
@@ -327,6 +2315,12 @@ function setupObservers() {
     onUrlMaybeChanged();
   });
 
+  // Offline failures wait for the connection instead of a timer
+  window.addEventListener('online', onOnline);
+
+  // Fullscreen swaps the caption to its fullscreen position without waiting for the next tick
+  document.addEventListener('fullscreenchange', syncCaptionPosition);
+
   // URL watcher (low frequency, cheap)
   setInterval(onUrlMaybeChanged, SST.URL_CHECK_MS);
 
@@ -335,10 +2329,12 @@ function setupObservers() {
     for (const m of mutations) {
       if (m.type === 'childList') {
         if ([...m.addedNodes, ...m.removedNodes].some(n =>
-          n?.nodeType === 1 && (n.matches?.(SST.SELECTORS.watchRoot) || n.querySelector?.(SST.SELECTORS.video))
+          n?.nodeType === 1 && (n.matches?.(SST.SELECTORS.watchRoot) || n.matches?.('video') || n.querySelector?.('video'))
         )) {
           log.debug('DOM changed around watch root/video.');
           onUrlMaybeChanged();
+          // Page players often create the <video> late (after a click); retry a failed attach
+          if (state.enabled && state.mode === SST.MODES.ERROR && !state.videoEl) tryStartActive();
           break;
         }
       }
@@ -387,7 +2383,207 @@ function tryStartActive() {
   wait();
 }
 
+// ========================= Status (popup) =========================
+function recordWindowLoad(hit, latencyMs) {
+  // Window loads answered by the persistent cache vs. the network, plus smoothed network latency
+  const st = state.stats;
+  recordEvent('cache', { hit, ms: hit ? undefined : Math.round(latencyMs) });
+  if (hit) {
+    st.hits++;
+  } else {
+    st.misses++;
+    st.lastLatencyMs = Math.round(latencyMs);
+    st.avgLatencyMs = st.avgLatencyMs === null
+      ? st.lastLatencyMs
+      : Math.round(st.avgLatencyMs + SST.LATENCY_SMOOTHING * (latencyMs - st.avgLatencyMs));
+  }
+  notifyStatus();
+}
+
+function statusSnapshot() {
+  const { stats, breaker } = state;
+  const loads = stats.hits + stats.misses;
+  return {
+    mode: state.mode,
+    enabled: state.enabled,
+    videoId: state.videoId,
+    language: state.language,
+    sourceLanguage: effectiveSource(),
+    degraded: isDegraded(),
+    breakerOpen: breaker.open,
+    retryInMs: breaker.failures && Number.isFinite(breaker.retryAt) ? Math.max(0, breaker.retryAt - Date.now()) : null,
+    lastError: breaker.lastError,
+    cache: { hits: stats.hits, misses: stats.misses, hitRate: loads ? stats.hits / loads : null },
+    latency: { lastMs: stats.lastLatencyMs, avgMs: stats.avgLatencyMs },
+  };
+}
+
+function notifyStatus() {
+  // Coalesced: bursts of line/state events become one post per STATUS_THROTTLE_MS
+  if (!state.statusPorts.size || state.statusTimer) return;
+  state.statusTimer = setTimeout(() => {
+    state.statusTimer = null;
+    const msg = { type: 'STATUS', status: statusSnapshot() };
+    for (const port of state.statusPorts) {
+      try { port.postMessage(msg); } catch { state.statusPorts.delete(port); }
+    }
+  }, SST.STATUS_THROTTLE_MS);
+}
+
+function setupStatusPort() {
+  chrome?.runtime?.onConnect?.addListener((port) => {
+    if (port.name !== SST.STATUS_PORT) return;
+    state.statusPorts.add(port);
+    port.onDisconnect.addListener(() => state.statusPorts.delete(port));
+    port.postMessage({ type: 'STATUS', status: statusSnapshot() });
+  });
+}
+
+// ========================= Diagnostics =========================
+function recordEvent(type, data = {}) {
+  // Ring buffer of { t, type, ...data }; types: state, nav, cache, request, abort, log
+  state.events.push({ t: Date.now(), type, ...data });
+  if (state.events.length > SST.EVENT_BUFFER) state.events.splice(0, state.events.length - SST.EVENT_BUFFER);
+}
+
+function recordLog(level, args) {
+  const text = args.map(a => (a instanceof Error ? a.message : typeof a === 'string' ? a : JSON.stringify(a)))
+    .join(' ')
+    .slice(0, 300);
+  recordEvent('log', { level, text });
+}
+
+function timed(endpoint, promise) {
+  // Adds a request event (latency, outcome) for one backend call; aborts are logged as such
+  const t0 = performance.now();
+  const done = (data) => recordEvent(data.aborted ? 'abort' : 'request', { endpoint, ms: Math.round(performance.now() - t0), ...data });
+  return promise.then(
+    (res) => {
+      done({ ok: true, lines: Array.isArray(res) ? res.length : undefined });
+      return res;
+    },
+    (err) => {
+      if (err?.name === 'AbortError') done({ aborted: true });
+      else done({ ok: false, error: classifyError(err), status: err?.status });
+      throw err;
+    }
+  );
+}
+
+function percentile(sorted, p) {
+  // Nearest-rank percentile of an ascending array
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+function latencySummary() {
+  // Per endpoint: successful requests in the buffer, p50/p95 latency, failures
+  const out = {};
+  for (const ev of state.events) {
+    if (ev.type !== 'request') continue;
+    if (!out[ev.endpoint]) out[ev.endpoint] = { count: 0, failures: 0, ms: [] };
+    const s = out[ev.endpoint];
+    s.count++;
+    if (ev.ok) s.ms.push(ev.ms);
+    else s.failures++;
+  }
+  for (const s of Object.values(out)) {
+    s.ms.sort((a, b) => a - b);
+    s.p50 = percentile(s.ms, 0.5);
+    s.p95 = percentile(s.ms, 0.95);
+    delete s.ms;
+  }
+  return out;
+}
+
+function diagnosticsSnapshot() {
+  return {
+    status: statusSnapshot(),
+    logLevel: state.logLevel,
+    page: {
+      player: state.adapter?.name || null,
+      frame: window === window.top ? 'top' : 'embedded',
+      source: state.localSubs ? 'local' : usingPageTrack() ? 'page-track' : usingYoutubeTrack() ? 'youtube' : 'backend',
+      streamUnsupported: state.streamUnsupported,
+    },
+    latency: latencySummary(),
+    events: state.events.slice(),
+  };
+}
+
 // ========================= Messaging from popup =========================
+function applySettings(settings = {}) {
+  // Shared by every popup message that carries `settings`; `enabled` is handled per message
+  state.language = settings.language || state.language;
+  const sourceLanguage = settings.sourceLanguage || state.sourceLanguage;
+  if (sourceLanguage !== state.sourceLanguage) {
+    state.sourceLanguage = sourceLanguage;
+    // Cached translations were made from the old source language
+    if (state.inflight) {
+      try { state.inflight.ctrl.abort(); } catch {}
+      state.inflight = null;
+    }
+    dropVideoCache(state.videoId);
+    refreshNow();
+  }
+  state.defaultHint = settings.hint ?? state.defaultHint;
+  if (settings.hintProfiles) state.hintProfiles = settings.hintProfiles;
+  state.display = settings.display || state.display;
+  if (SST.LOG_LEVELS.includes(settings.logLevel)) state.logLevel = settings.logLevel;
+  if (settings.reading) applyReading(settings.reading);
+  if (settings.romanization) {
+    const { scheme, placement } = settings.romanization;
+    state.romanization = {
+      scheme: SST_TRANSLIT.SCHEMES.includes(scheme) ? scheme : 'off',
+      placement: placement === 'replace' ? 'replace' : 'below'
+    };
+  }
+  if (typeof settings.vocabulary === 'boolean' && settings.vocabulary !== state.vocabulary) {
+    state.vocabulary = settings.vocabulary;
+    if (!state.vocabulary) closeWordCard();
+  }
+  if (settings.dubbing) applyDubbing(settings.dubbing);
+  if (settings.backend && JSON.stringify(settings.backend) !== JSON.stringify(state.backend)) {
+    const switched = state.backend && settings.backend.baseUrl !== state.backend.baseUrl;
+    state.backend = settings.backend;
+    // A new URL/key may fix whatever the breaker was waiting out; try again right away
+    if (isDegraded()) state.breaker.retryAt = 0;
+    if (switched) {
+      // Lines in memory came from the old server (persisted windows are keyed by backend)
+      if (state.inflight) {
+        try { state.inflight.ctrl.abort(); } catch {}
+        state.inflight = null;
+      }
+      state.cache.clear();
+      refreshNow();
+    }
+  }
+  const source = settings.transcriptSource || state.transcriptSource;
+  const track = settings.captionTrack ?? state.captionTrack;
+  if (source !== state.transcriptSource || track !== state.captionTrack) {
+    state.transcriptSource = source;
+    state.captionTrack = track;
+    refreshNow();
+  }
+  if (settings.glossary) state.glossaryStore = settings.glossary;
+  refreshChannelScoped();
+  if (typeof settings.transcriptPanel === 'boolean' && settings.transcriptPanel !== state.transcriptPanel) {
+    state.transcriptPanel = settings.transcriptPanel;
+    if (!state.transcriptPanel) removeTranscriptPanel();
+    else if (state.mode === SST.MODES.ACTIVE) ensureTranscriptPanel();
+  }
+  if (settings.captionStyle) {
+    state.captionStyle = SST_CAPTION_STYLE.normalize(settings.captionStyle);
+    applyCaptionStyle();
+  }
+  const offset = Number(settings.localOffset);
+  if (Number.isFinite(offset) && offset !== state.localOffset) {
+    state.localOffset = offset;
+    if (state.localSubs) refreshNow();
+  }
+  notifyStatus();
+}
+
 function setupMessageListener() {
   if (!chrome?.runtime?.onMessage) {
     log.warn('Chrome runtime messaging unavailable.');
@@ -398,26 +2594,103 @@ function setupMessageListener() {
       switch (msg?.type) {
         case 'SETTINGS_CHANGED':
           state.enabled = !!msg.settings?.enabled;
-          state.language = msg.settings?.language || state.language;
-          state.hint = msg.settings?.hint || state.hint;
-          log.info('Settings updated', { enabled: state.enabled, language: state.language });
+          applySettings(msg.settings);
+          log.info('Settings updated', { enabled: state.enabled, language: state.language, display: state.display });
           if (state.enabled && state.mode === SST.MODES.IDLE) {
             tryStartActive();
           } else if (!state.enabled && state.mode !== SST.MODES.IDLE) {
             stopAll('disabled');
           }
+          renderCurrent(); // display mode may have changed
           sendResponse?.({ ok: true });
           return true;
 
         case 'START_TRANSLATION':
           state.enabled = true;
-          state.language = msg.settings?.language || state.language;
-          state.hint = msg.settings?.hint || state.hint;
-          state.videoId = getVideoIdFromUrl();
+          applySettings(msg.settings);
+          syncAdapter();
           tryStartActive();
           sendResponse?.({ ok: true });
           return true;
 
+        case 'EXPORT_SUBTITLES':
+          applySettings(msg.settings);
+          exportSubtitles(msg.options)
+            .then(res => sendResponse?.({ ok: true, ...res }))
+            .catch(err => {
+              if (err.name !== 'AbortError') log.warn('Export failed', err);
+              sendResponse?.({ ok: false, error: err.name === 'AbortError' ? 'Export cancelled.' : err.message });
+            });
+          return true;
+
+        case 'LOAD_LOCAL_SUBTITLES':
+          try {
+            const count = setLocalSubtitles(msg.file, msg.lines);
+            sendResponse?.({ ok: true, count });
+          } catch (e) {
+            sendResponse?.({ ok: false, error: e.message }); // bad file, not a runtime error
+          }
+          return true;
+
+        case 'LIST_CAPTION_TRACKS': {
+          const vid = state.videoId || getVideoIdFromUrl();
+          if (!state.adapter?.youtube) {
+            sendResponse?.({ ok: false, error: 'YouTube caption tracks are only listed on YouTube.' });
+            return true;
+          }
+          if (!vid) {
+            sendResponse?.({ ok: false, error: 'Open a YouTube video first.' });
+            return true;
+          }
+          listYoutubeTracks(vid)
+            .then(tracks => {
+              const selected = SST_YT_CAPTIONS.pickTrack(tracks, state.captionTrack);
+              sendResponse?.({
+                ok: true,
+                tracks: tracks.map(({ id, languageCode, kind, label, pref }) => ({ id, languageCode, kind, label, pref })),
+                selected: selected?.pref || null
+              });
+            })
+            .catch(err => sendResponse?.({ ok: false, error: err.message }));
+          return true;
+        }
+
+        case 'GET_PAGE_CONTEXT': {
+          state.videoId = state.videoId || getVideoIdFromUrl();
+          const reply = (ch) => sendResponse?.({
+            ok: true,
+            videoId: state.videoId,
+            channel: ch?.id ? { id: ch.id, name: ch.name } : null,
+            hintProfile: state.hintProfile,
+            sourceLanguage: effectiveSource()
+          });
+          loadChannel(state.videoId)
+            .then(reply)
+            .catch(() => reply(null)); // channel is optional context
+          return true;
+        }
+
+        case 'GET_GLOSSARY_VIOLATIONS':
+          sendResponse?.({ ok: true, violations: state.glossaryViolations.filter(v => v.videoId === state.videoId) });
+          return true;
+
+        case 'CLEAR_LOCAL_SUBTITLES':
+          clearLocalSubtitles();
+          sendResponse?.({ ok: true });
+          return true;
+
+        case 'GET_STATUS':
+          sendResponse?.({ ok: true, status: statusSnapshot() });
+          return true;
+
+        case 'GET_DIAGNOSTICS':
+          sendResponse?.({ ok: true, diagnostics: diagnosticsSnapshot() });
+          return true;
+
+        case 'RESET_CAPTION_POSITION':
+          sendResponse?.({ ok: true, mode: resetCaptionPosition() });
+          return true;
+
         case 'STOP_TRANSLATION':
           stopAll('popup stop');
           sendResponse?.({ ok: true });
@@ -439,8 +2712,18 @@ function setupMessageListener() {
 
 // ========================= Boot =========================
 (function boot() {
-  state.videoId = getVideoIdFromUrl();
+  syncAdapter();
+  // All frames of YouTube get this script; sub-frames only matter when they hold a player (embeds)
+  if (window !== window.top && !state.adapter) return;
   setupMessageListener();
+  setupStatusPort();
   setupObservers();
+  loadCaptionLayout();
+  loadLogLevel();
+  document.addEventListener('play', onMediaPlay, true); // 'play' doesn't bubble
+  if (state.adapter?.find()) claimPlayerFrame(false);
+  if (typeof speechSynthesis !== 'undefined') {
+    speechSynthesis.addEventListener('voiceschanged', () => { state.dub.voice = null; });
+  }
   log.info('Content script ready on', location.href);
 })();
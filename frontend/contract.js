@@ -0,0 +1,158 @@
+/* contract.js — Semantic Subtitle Translator: backend request/response contract
+ * Responsibilities:
+ *  - Describe the versioned wire format of /chunks, /translate and /translate/stream (below)
+ *  - Validate responses: line types, monotonic timings, one-to-one alignment of translations by id,
+ *    word lookups
+ *  - Throw a ContractError (kind 'contract') listing the violations, so callers use their error path
+ * Loaded before content.js (manifest content_scripts) and by background.js (importScripts);
+ * exposed as `SST_CONTRACT`. backend/mock_server.py implements the same contract.
+ *
+ * Contract v1 (every request sends the header `X-SST-Contract: 1`)
+ *   GET  /chunks?videoId=…&t=…&window=…
+ *        → { contract: 1, lines: [{ id, start, end, text }] }
+ *          id: string|number, unique in the response; start/end: seconds, 0 ≤ start ≤ end;
+ *          lines sorted by start
+ *   POST /translate { contract: 1, lines: [{ id, start, end, text }], source, target, hint, glossary? }
+ *        → { contract: 1, lines: [{ id, text }] }
+ *          exactly one output line per input id (order free); start/end, when echoed, must match
+ *   POST /translate/stream (same body) → NDJSON or SSE records { id, text }, one per input line
+ *   POST /lookup { contract: 1, word, sentence, source, sourceLanguage, target }
+ *        → { contract: 1, gloss, sourcePhrase? }
+ *          word: clicked word of the translated `sentence`; source: the line it was translated from;
+ *          gloss: short meaning in the source language; sourcePhrase: the part of `source` it renders
+ * Pre-contract backends answering with a bare array are still accepted under the same rules,
+ * matching lines by `start` when they carry no id.
+ */
+
+const SST_CONTRACT = (() => {
+  const VERSION = 1;
+  const HEADER = 'X-SST-Contract';
+  const TIME_EPSILON = 0.001;  // seconds; echoed timings may be rounded
+  const MAX_REPORTED = 5;      // violations quoted in the error message
+
+  class ContractError extends Error {
+    constructor(endpoint, violations) {
+      const shown = violations.slice(0, MAX_REPORTED).join('; ');
+      const more = violations.length > MAX_REPORTED ? ` (+${violations.length - MAX_REPORTED} more)` : '';
+      super(`${endpoint} broke contract v${VERSION}: ${shown}${more}`);
+      this.name = 'ContractError';
+      this.kind = 'contract';
+      this.endpoint = endpoint;
+      this.violations = violations;
+    }
+  }
+
+  // ---------- Envelope ----------
+  const unwrap = (endpoint, raw) => {
+    // { contract, lines } (v1) or a bare array (pre-contract); anything else is a violation
+    if (Array.isArray(raw)) return raw;
+    if (!raw || typeof raw !== 'object' || !Array.isArray(raw.lines)) {
+      throw new ContractError(endpoint, ['response is neither { contract, lines } nor an array']);
+    }
+    if (raw.contract !== undefined && raw.contract !== VERSION) {
+      throw new ContractError(endpoint, [`unsupported contract version ${JSON.stringify(raw.contract)}`]);
+    }
+    return raw.lines;
+  };
+
+  const hasId = (ln) => typeof ln?.id === 'string' || Number.isFinite(ln?.id);
+
+  const isTime = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+
+  // ---------- Lines with timings (/chunks, cached windows) ----------
+  const lineProblems = (ln, i) => {
+    if (!ln || typeof ln !== 'object') return [`line ${i} is not an object`];
+    const out = [];
+    if (!isTime(ln.start)) out.push(`line ${i} start is not a time`);
+    if (!isTime(ln.end)) out.push(`line ${i} end is not a time`);
+    else if (isTime(ln.start) && ln.end < ln.start) out.push(`line ${i} ends before it starts`);
+    if (typeof ln.text !== 'string') out.push(`line ${i} text is not a string`);
+    if (ln.id !== undefined && !hasId(ln)) out.push(`line ${i} id is not a string or number`);
+    return out;
+  };
+
+  const checkLines = (endpoint, lines) => {
+    // Types, unique ids and non-decreasing starts; returns `lines` untouched
+    const violations = [];
+    const ids = new Set();
+    let prevStart = -Infinity;
+    lines.forEach((ln, i) => {
+      const problems = lineProblems(ln, i);
+      violations.push(...problems);
+      if (problems.length) return;
+      if (ln.start < prevStart) violations.push(`line ${i} starts before line ${i - 1}`);
+      prevStart = ln.start;
+      if (hasId(ln)) {
+        const id = String(ln.id);
+        if (ids.has(id)) violations.push(`duplicate id ${JSON.stringify(id)}`);
+        ids.add(id);
+      }
+    });
+    if (violations.length) throw new ContractError(endpoint, violations);
+    return lines;
+  };
+
+  const parseChunks = (raw) => checkLines('/chunks', unwrap('/chunks', raw))
+    .map(({ id, start, end, text }) => (hasId({ id }) ? { id, start, end, text } : { start, end, text }));
+
+  // ---------- Translations ----------
+  const withIds = (lines) => {
+    // Request lines for /translate: keep the source's ids when they are unique, else number them
+    const ids = new Set(lines.filter(hasId).map(ln => String(ln.id)));
+    const keep = ids.size === lines.length;
+    return lines.map((ln, i) => ({ id: keep ? ln.id : i, start: ln.start, end: ln.end, text: ln.text }));
+  };
+
+  const alignTranslation = (input, raw, endpoint = '/translate') => {
+    // Returns one { start, end, text, source } per input line, in input order. Output lines match
+    // by id, or by start time when they carry none (pre-contract backends, cached windows).
+    const out = unwrap(endpoint, raw);
+    const violations = [];
+    const byId = new Map();
+    const byStart = new Map(); // start → input indices (cues may share a start)
+    input.forEach((ln, i) => {
+      if (hasId(ln)) byId.set(String(ln.id), i);
+      byStart.set(ln.start, [...(byStart.get(ln.start) || []), i]);
+    });
+    const text = new Array(input.length);
+    out.forEach((ln, j) => {
+      if (!ln || typeof ln !== 'object') return violations.push(`line ${j} is not an object`);
+      const sameStart = byStart.get(ln.start) || [];
+      const i = hasId(ln) ? byId.get(String(ln.id)) : (sameStart.find(k => text[k] === undefined) ?? sameStart[0]);
+      if (i === undefined) {
+        return violations.push(hasId(ln) ? `unknown id ${JSON.stringify(ln.id)}` : `line ${j} matches no input line`);
+      }
+      if (text[i] !== undefined) return violations.push(`input line ${i} translated twice`);
+      if (typeof ln.text !== 'string') return violations.push(`line ${j} text is not a string`);
+      const src = input[i];
+      if ((ln.start !== undefined && Math.abs(ln.start - src.start) > TIME_EPSILON)
+        || (ln.end !== undefined && Math.abs(ln.end - src.end) > TIME_EPSILON)) {
+        return violations.push(`line ${j} changes the timing of input line ${i}`);
+      }
+      text[i] = ln.text;
+    });
+    const missing = input.length - text.filter(t => t !== undefined).length;
+    if (missing) violations.push(`${missing} of ${input.length} input lines not translated`);
+    if (violations.length) throw new ContractError(endpoint, violations);
+    return input.map((ln, i) => ({ start: ln.start, end: ln.end, text: text[i], source: ln.source ?? ln.text }));
+  };
+
+  // ---------- Word lookup ----------
+  const parseLookup = (raw) => {
+    const violations = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new ContractError('/lookup', ['response is not an object']);
+    }
+    if (raw.contract !== undefined && raw.contract !== VERSION) {
+      violations.push(`unsupported contract version ${JSON.stringify(raw.contract)}`);
+    }
+    if (typeof raw.gloss !== 'string') violations.push('gloss is not a string');
+    if (raw.sourcePhrase !== undefined && raw.sourcePhrase !== null && typeof raw.sourcePhrase !== 'string') {
+      violations.push('sourcePhrase is not a string');
+    }
+    if (violations.length) throw new ContractError('/lookup', violations);
+    return { gloss: raw.gloss.trim(), sourcePhrase: (raw.sourcePhrase || '').trim() };
+  };
+
+  return { VERSION, HEADER, ContractError, checkLines, parseChunks, withIds, alignTranslation, parseLookup };
+})();
@@ -0,0 +1,101 @@
+/* glossary.js — Semantic Subtitle Translator: glossary & terminology
+ * Responsibilities:
+ *  - Normalize the stored glossary ({ global, channels: { [channelId]: { name, terms, dnt } } })
+ *  - Resolve the effective glossary for a channel (channel entries override global ones)
+ *  - Parse/format the popup's "source = target" text representation
+ *  - Check translated lines for terminology violations (client-side enforcement)
+ * Loaded before content.js (manifest content_scripts) and by popup.html; exposed as `SST_GLOSSARY`.
+ */
+
+const SST_GLOSSARY = (() => {
+  const EMPTY = () => ({ global: { terms: [], dnt: [] }, channels: {} });
+
+  // ---------- Normalization ----------
+  const cleanTerms = (terms) => (Array.isArray(terms) ? terms : [])
+    .map(t => ({ source: String(t?.source || '').trim(), target: String(t?.target || '').trim() }))
+    .filter(t => t.source && t.target);
+
+  const cleanList = (list) => [...new Set((Array.isArray(list) ? list : [])
+    .map(s => String(s || '').trim())
+    .filter(Boolean))];
+
+  const cleanScope = (scope) => ({ terms: cleanTerms(scope?.terms), dnt: cleanList(scope?.dnt) });
+
+  const normalize = (store) => {
+    const out = EMPTY();
+    out.global = cleanScope(store?.global);
+    for (const [id, scope] of Object.entries(store?.channels || {})) {
+      const clean = { ...cleanScope(scope), name: String(scope?.name || id) };
+      if (clean.terms.length || clean.dnt.length) out.channels[id] = clean;
+    }
+    return out;
+  };
+
+  const hasChannelScopes = (store) => Object.keys(store?.channels || {}).length > 0;
+
+  // ---------- Resolution ----------
+  const resolve = (store, channelId) => {
+    // Returns { terms:[{source,target}], doNotTranslate:[...] } — the shape sent to /translate
+    const norm = normalize(store);
+    const channel = channelId ? norm.channels[channelId] : null;
+    const bySource = new Map(norm.global.terms.map(t => [t.source.toLowerCase(), t]));
+    for (const t of channel?.terms || []) bySource.set(t.source.toLowerCase(), t);
+    return {
+      terms: [...bySource.values()],
+      doNotTranslate: cleanList([...norm.global.dnt, ...(channel?.dnt || [])]),
+    };
+  };
+
+  const isEmpty = (glossary) => !glossary?.terms?.length && !glossary?.doNotTranslate?.length;
+
+  const signature = (glossary) => (isEmpty(glossary) ? '' : JSON.stringify(glossary));
+
+  // ---------- Text representation (popup) ----------
+  const TERM_SEP = /\s*(?:=>|→|=)\s*/;
+
+  const parseTerms = (text) => cleanTerms(String(text || '').split('\n').map(line => {
+    const [source, ...rest] = line.split(TERM_SEP);
+    return { source, target: rest.join(' ') };
+  }));
+
+  const formatTerms = (terms) => cleanTerms(terms).map(t => `${t.source} = ${t.target}`).join('\n');
+
+  const parseList = (text) => cleanList(String(text || '').split('\n'));
+
+  // ---------- Enforcement ----------
+  const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  const mentions = (text, term) => {
+    // Whole-word for Latin-ish terms; plain substring otherwise (word boundaries are ASCII-only)
+    if (!text || !term) return false;
+    if (/^[\w\s'-]+$/.test(term)) return new RegExp(`\\b${escapeRe(term)}\\b`, 'i').test(text);
+    return text.toLowerCase().includes(term.toLowerCase());
+  };
+
+  const findViolations = (lines, glossary) => {
+    // lines: [{ start, text, source }] → [{ start, kind:'term'|'dnt', term, expected, text }]
+    if (isEmpty(glossary)) return [];
+    const out = [];
+    for (const ln of lines || []) {
+      const source = ln?.source;
+      const text = String(ln?.text || '');
+      if (!source) continue;
+      for (const t of glossary.terms || []) {
+        if (mentions(source, t.source) && !text.toLowerCase().includes(t.target.toLowerCase())) {
+          out.push({ start: ln.start, kind: 'term', term: t.source, expected: t.target, text });
+        }
+      }
+      for (const term of glossary.doNotTranslate || []) {
+        if (mentions(source, term) && !text.includes(term)) {
+          out.push({ start: ln.start, kind: 'dnt', term, expected: term, text });
+        }
+      }
+    }
+    return out;
+  };
+
+  return {
+    EMPTY, normalize, hasChannelScopes, resolve, isEmpty, signature,
+    parseTerms, formatTerms, parseList, findViolations,
+  };
+})();
@@ -0,0 +1,106 @@
+/* languages.js — Semantic Subtitle Translator: language registry
+ * Responsibilities:
+ *  - List supported languages (code, display name, script direction, font fallback)
+ *  - Guess a caption text's source language from its script (plus stopwords for Latin script)
+ * Adding a language is one LANGUAGES entry; popup options and overlay rendering follow it.
+ * Loaded before content.js (manifest content_scripts) and by popup.html; exposed as `SST_LANGUAGES`.
+ */
+
+const SST_LANGUAGES = (() => {
+  const AUTO = 'auto';
+
+  // script: the detect() bucket; several languages may share one (first entry wins without stopwords)
+  const LANGUAGES = [
+    { code: 'en', name: 'English', dir: 'ltr', script: 'latin', font: '"Noto Sans", sans-serif' },
+    { code: 'ml', name: 'Malayalam', dir: 'ltr', script: 'malayalam', font: '"Noto Sans Malayalam", "Manjari", sans-serif' },
+    { code: 'ta', name: 'Tamil', dir: 'ltr', script: 'tamil', font: '"Noto Sans Tamil", sans-serif' },
+    { code: 'te', name: 'Telugu', dir: 'ltr', script: 'telugu', font: '"Noto Sans Telugu", sans-serif' },
+    { code: 'kn', name: 'Kannada', dir: 'ltr', script: 'kannada', font: '"Noto Sans Kannada", sans-serif' },
+    { code: 'hi', name: 'Hindi', dir: 'ltr', script: 'devanagari', font: '"Noto Sans Devanagari", sans-serif' },
+    { code: 'bn', name: 'Bengali', dir: 'ltr', script: 'bengali', font: '"Noto Sans Bengali", sans-serif' },
+    { code: 'ar', name: 'Arabic', dir: 'rtl', script: 'arabic', font: '"Noto Naskh Arabic", "Noto Sans Arabic", sans-serif' },
+    { code: 'ur', name: 'Urdu', dir: 'rtl', script: 'arabic', font: '"Noto Nastaliq Urdu", "Noto Sans Arabic", sans-serif' },
+    { code: 'fa', name: 'Persian', dir: 'rtl', script: 'arabic', font: '"Vazirmatn", "Noto Sans Arabic", sans-serif' },
+    { code: 'he', name: 'Hebrew', dir: 'rtl', script: 'hebrew', font: '"Noto Sans Hebrew", sans-serif' },
+    { code: 'es', name: 'Spanish', dir: 'ltr', script: 'latin', font: '"Noto Sans", sans-serif' },
+    { code: 'fr', name: 'French', dir: 'ltr', script: 'latin', font: '"Noto Sans", sans-serif' },
+    { code: 'de', name: 'German', dir: 'ltr', script: 'latin', font: '"Noto Sans", sans-serif' },
+    { code: 'pt', name: 'Portuguese', dir: 'ltr', script: 'latin', font: '"Noto Sans", sans-serif' },
+    { code: 'ru', name: 'Russian', dir: 'ltr', script: 'cyrillic', font: '"Noto Sans", sans-serif' },
+    { code: 'ja', name: 'Japanese', dir: 'ltr', script: 'kana', font: '"Noto Sans JP", sans-serif' },
+    { code: 'ko', name: 'Korean', dir: 'ltr', script: 'hangul', font: '"Noto Sans KR", sans-serif' },
+    { code: 'zh', name: 'Chinese', dir: 'ltr', script: 'han', font: '"Noto Sans SC", sans-serif' },
+  ];
+
+  const BY_CODE = new Map(LANGUAGES.map(l => [l.code, l]));
+
+  const get = (code) => {
+    // Accepts region subtags ("pt-BR", "zh-Hans" → base entry); null for unknown codes
+    const c = String(code || '').toLowerCase();
+    return BY_CODE.get(c) || BY_CODE.get(c.split(/[-_]/)[0]) || null;
+  };
+
+  const dirOf = (code) => get(code)?.dir || 'ltr';
+
+  const fontOf = (code) => get(code)?.font || '';
+
+  // ---------- Detection ----------
+  const SCRIPTS = [
+    ['malayalam', /[ഀ-ൿ]/g],
+    ['tamil', /[஀-௿]/g],
+    ['telugu', /[ఀ-౿]/g],
+    ['kannada', /[ಀ-೿]/g],
+    ['devanagari', /[ऀ-ॿ]/g],
+    ['bengali', /[ঀ-৿]/g],
+    ['arabic', /[؀-ۿݐ-ݿ]/g],
+    ['hebrew', /[֐-׿]/g],
+    ['cyrillic', /[Ѐ-ӿ]/g],
+    ['kana', /[぀-ヿ]/g],
+    ['hangul', /[가-힯ᄀ-ᇿ]/g],
+    ['han', /[一-鿿]/g],
+    ['latin', /[A-Za-zÀ-ɏ]/g],
+  ];
+
+  // A handful of very frequent words is enough to split the Latin-script languages
+  const STOPWORDS = {
+    en: ['the', 'and', 'is', 'you', 'that', 'it', 'of', 'to', 'this', 'what'],
+    es: ['el', 'la', 'que', 'de', 'y', 'es', 'los', 'por', 'una', 'pero'],
+    fr: ['le', 'la', 'les', 'et', 'est', 'que', 'pas', 'je', 'vous', 'une'],
+    de: ['der', 'die', 'und', 'ist', 'nicht', 'das', 'ich', 'ein', 'zu', 'wir'],
+    pt: ['o', 'que', 'não', 'de', 'uma', 'é', 'você', 'para', 'com', 'os'],
+  };
+
+  const MIN_LETTERS = 20; // shorter samples are too noisy to call
+
+  const detectLatin = (text) => {
+    const words = text.toLowerCase().match(/[a-zÀ-ɏ]+/g) || [];
+    let best = null;
+    let bestScore = 0;
+    for (const [code, list] of Object.entries(STOPWORDS)) {
+      const set = new Set(list);
+      const score = words.filter(w => set.has(w)).length;
+      if (score > bestScore) { best = code; bestScore = score; }
+    }
+    return bestScore >= 2 ? best : null;
+  };
+
+  const detect = (text) => {
+    // Returns a registry code, or null when the sample is too short/ambiguous (backend decides)
+    const sample = String(text || '');
+    let top = null;
+    let topCount = 0;
+    let letters = 0;
+    for (const [script, re] of SCRIPTS) {
+      const n = (sample.match(re) || []).length;
+      letters += n;
+      if (n > topCount) { top = script; topCount = n; }
+    }
+    // kana outranks han: Japanese mixes both
+    if (top === 'han' && (sample.match(SCRIPTS.find(s => s[0] === 'kana')[1]) || []).length) top = 'kana';
+    if (!top || letters < MIN_LETTERS) return null;
+    if (top === 'latin') return detectLatin(sample);
+    return LANGUAGES.find(l => l.script === top)?.code || null;
+  };
+
+  return { AUTO, LANGUAGES, get, dirOf, fontOf, detect };
+})();
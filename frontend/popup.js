@@ -1,10 +1,29 @@
 /* Popup logic for Semantic Subtitle Translator (MV3)
  * Responsibilities:
- *  - Load & persist settings via chrome.storage.sync (fallback: localStorage)
+ *  - Load & persist settings through settings.js (versioned schema; sync vs local storage, quota
+ *    errors shown as toasts; fallback: localStorage)
+ *  - Export/import the whole configuration as a JSON file to share a standard setup
  *  - Debounce writes
- *  - Update status pill (Idle/Active/Error)
+ *  - Update status pill (Idle/Active/Error) from the tab's live status (GET_STATUS + status port)
  *  - Emit messages to active YouTube tab: START/STOP/SETTINGS_CHANGED
  *  - Toast errors/successes (aria-live)
+ *  - Backend endpoint/API key settings and "Test connection" health check (via background worker)
+ *  - Ask the active tab to export translated subtitles (SRT/WebVTT)
+ *  - Parse a local SRT/WebVTT file (subtitles.js) and send it to the tab as the caption source
+ *  - Choose the transcript source (backend or YouTube caption track) and list the tab's tracks
+ *  - Glossary manager (global or per channel, glossary.js) and a violations debug view
+ *  - Named hint profiles bound to a channel or video (profiles.js); active one shown by the pill
+ *  - Source/target language pickers built from the language registry (languages.js)
+ *  - Caption appearance editor with live preview (caption-style.js); reset the dragged position
+ *  - Download all saved translation corrections (background worker) as JSON
+ *  - Enable/disable the translator on the current non-YouTube site (runtime host permission)
+ *  - Reading-speed guard: on/off, characters per second, and whether to slow or pause the video
+ *    for lines that still can't be read in time
+ *  - Malayalam romanization scheme (translit.js, with a live sample) and its placement
+ *  - Vocabulary mode toggle (click words in the caption) and the saved word list as Anki CSV
+ *  - Spoken dubbing toggle and what to do with lines too long to speak in their slot
+ *  - Diagnostics: log level, the tab's p50/p95 request latency and hit rate, and a copyable debug
+ *    report (tab events + settings with secrets redacted)
  */
 
 (() => {
@@ -13,50 +32,109 @@
   const STORAGE_KEYS = {
     enabled: 'sst_enabled',
     language: 'sst_language',
+    sourceLanguage: 'sst_source_language',
     hint: 'sst_hint',
+    display: 'sst_display',
+    backendUrl: 'sst_backend_url',
+    apiKey: 'sst_api_key',
+    exportFormat: 'sst_export_format',
+    exportBilingual: 'sst_export_bilingual',
+    localOffset: 'sst_local_offset',
+    transcriptSource: 'sst_transcript_source',
+    captionTrack: 'sst_caption_track',
+    transcriptPanel: 'sst_transcript_panel',
+    glossary: 'sst_glossary',
+    hintProfiles: 'sst_hint_profiles',
+    captionStyle: 'sst_caption_style', // content.js also reads it (SST.STORAGE)
+    logLevel: 'sst_log_level', // background.js (BG.LOG_LEVEL_KEY) and content.js read it too
+    dubbing: 'sst_dubbing',
+    dubbingOverflow: 'sst_dubbing_overflow',
+    reading: 'sst_reading',
+    readingCps: 'sst_reading_cps',
+    readingAdapt: 'sst_reading_adapt',
+    vocabulary: 'sst_vocabulary',
+    romanization: 'sst_romanization',
+    romanizationPlacement: 'sst_romanization_placement',
   };
 
   const DEFAULTS = {
     [STORAGE_KEYS.enabled]: false,
     [STORAGE_KEYS.language]: 'en',
+    [STORAGE_KEYS.sourceLanguage]: SST_LANGUAGES.AUTO, // or a registry code
     [STORAGE_KEYS.hint]: '',
+    [STORAGE_KEYS.display]: 'translated', // 'translated' | 'dual' | 'original'
+    [STORAGE_KEYS.backendUrl]: 'http://localhost:8000',
+    [STORAGE_KEYS.apiKey]: '',
+    [STORAGE_KEYS.exportFormat]: 'srt', // 'srt' | 'vtt'
+    [STORAGE_KEYS.exportBilingual]: false,
+    [STORAGE_KEYS.localOffset]: 0, // seconds; shifts local subtitle files
+    [STORAGE_KEYS.transcriptSource]: 'backend', // 'backend' | 'youtube'
+    [STORAGE_KEYS.captionTrack]: '', // "lang:kind" preference, '' → best manual track
+    [STORAGE_KEYS.transcriptPanel]: false,
+    [STORAGE_KEYS.glossary]: SST_GLOSSARY.EMPTY(),
+    [STORAGE_KEYS.hintProfiles]: SST_PROFILES.EMPTY(),
+    [STORAGE_KEYS.captionStyle]: SST_CAPTION_STYLE.DEFAULTS(),
+    [STORAGE_KEYS.logLevel]: 'info', // 'debug' | 'info' | 'warn' | 'error'
+    [STORAGE_KEYS.dubbing]: false,
+    [STORAGE_KEYS.dubbingOverflow]: 'speed', // 'speed' | 'truncate' | 'pause'
+    [STORAGE_KEYS.reading]: true,
+    [STORAGE_KEYS.readingCps]: 17, // characters per second; content.js clamps to SST.READING.CPS_RANGE
+    [STORAGE_KEYS.readingAdapt]: 'none', // 'none' | 'slow' | 'pause'
+    [STORAGE_KEYS.vocabulary]: false,
+    [STORAGE_KEYS.romanization]: 'off', // 'off' | 'iso' | 'manglish' (translit.js)
+    [STORAGE_KEYS.romanizationPlacement]: 'below', // 'below' | 'replace'
   };
 
   const STATE = {
     enabled: DEFAULTS[STORAGE_KEYS.enabled],
     language: DEFAULTS[STORAGE_KEYS.language],
+    sourceLanguage: DEFAULTS[STORAGE_KEYS.sourceLanguage],
+    detectedSource: null,    // what the tab detected while on auto
     hint: DEFAULTS[STORAGE_KEYS.hint],
+    display: DEFAULTS[STORAGE_KEYS.display],
+    backendUrl: DEFAULTS[STORAGE_KEYS.backendUrl],
+    apiKey: DEFAULTS[STORAGE_KEYS.apiKey],
+    exportFormat: DEFAULTS[STORAGE_KEYS.exportFormat],
+    exportBilingual: DEFAULTS[STORAGE_KEYS.exportBilingual],
+    localOffset: DEFAULTS[STORAGE_KEYS.localOffset],
+    transcriptSource: DEFAULTS[STORAGE_KEYS.transcriptSource],
+    captionTrack: DEFAULTS[STORAGE_KEYS.captionTrack],
+    transcriptPanel: DEFAULTS[STORAGE_KEYS.transcriptPanel],
+    glossary: DEFAULTS[STORAGE_KEYS.glossary],
+    glossaryScope: 'global', // 'global' | channel id
+    hintProfiles: DEFAULTS[STORAGE_KEYS.hintProfiles],
+    editingProfile: '',      // profile id shown in the hint editor; '' → default hint
+    captionStyle: DEFAULTS[STORAGE_KEYS.captionStyle],
+    videoId: null,           // active tab's video
+    channel: null,           // { id, name } of the active tab's video
     runtimeStatus: 'idle', // 'idle' | 'active' | 'error'
+    status: null,          // last snapshot from the tab (content.js statusSnapshot)
+    retryAt: null,         // wall-clock time of the tab's next backend retry
+    site: null,            // { origin, tabId, builtIn, enabled } for the active tab's page
+    logLevel: DEFAULTS[STORAGE_KEYS.logLevel],
+    dubbing: DEFAULTS[STORAGE_KEYS.dubbing],
+    dubbingOverflow: DEFAULTS[STORAGE_KEYS.dubbingOverflow],
+    reading: DEFAULTS[STORAGE_KEYS.reading],
+    readingCps: DEFAULTS[STORAGE_KEYS.readingCps],
+    readingAdapt: DEFAULTS[STORAGE_KEYS.readingAdapt],
+    vocabulary: DEFAULTS[STORAGE_KEYS.vocabulary],
+    romanization: DEFAULTS[STORAGE_KEYS.romanization],
+    romanizationPlacement: DEFAULTS[STORAGE_KEYS.romanizationPlacement],
     started: false
   };
 
   // ---------- Storage helpers ----------
   const hasChrome = typeof chrome !== 'undefined' && chrome?.storage?.sync;
 
-  const storageGet = async (keysObj) => {
-    if (hasChrome) {
-      return new Promise((resolve) => {
-        chrome.storage.sync.get(keysObj, (res) => resolve(res || {}));
-      });
-    } else {
-      const out = {};
-      for (const k of Object.keys(keysObj)) {
-        const raw = localStorage.getItem(k);
-        out[k] = raw === null ? keysObj[k] : JSON.parse(raw);
-      }
-      return out;
-    }
-  };
+  // Each key lives in sync or local storage per settings.js; localStorage outside the extension
+  const storageGet = (keysObj) => SST_SETTINGS.get(keysObj);
 
   const storageSet = async (obj) => {
-    if (hasChrome) {
-      return new Promise((resolve) => {
-        chrome.storage.sync.set(obj, () => resolve());
-      });
-    } else {
-      for (const [k, v] of Object.entries(obj)) {
-        localStorage.setItem(k, JSON.stringify(v));
-      }
+    // The tab still gets the new value (SETTINGS_CHANGED); only persisting it failed
+    try {
+      await SST_SETTINGS.set(obj);
+    } catch (err) {
+      showToast(`Not saved: ${err.message}`, 'error');
     }
   };
 
@@ -72,24 +150,84 @@
   // ---------- UI references ----------
   const $enabled = () => QS('#toggleEnabled');
   const $language = () => QS('#selectLanguage');
+  const $sourceLanguage = () => QS('#selectSourceLanguage');
   const $hint = () => QS('#textHint');
+  const $hintProfile = () => QS('#selectHintProfile');
+  const $profileName = () => QS('#inputProfileName');
+  const $btnNewProfile = () => QS('#btnNewProfile');
+  const $btnDeleteProfile = () => QS('#btnDeleteProfile');
+  const $bindChannel = () => QS('#toggleBindChannel');
+  const $bindVideo = () => QS('#toggleBindVideo');
+  const $profileBadge = () => QS('#profileBadge');
+  const $captionFields = () => document.querySelectorAll('[data-caption-style]');
+  const $captionPreview = () => QS('#captionPreview');
+  const $btnResetStyle = () => QS('#btnResetCaptionStyle');
+  const $btnResetPosition = () => QS('#btnResetCaptionPosition');
+  const $display = () => QS('#selectDisplay');
+  const $transcriptPanel = () => QS('#toggleTranscriptPanel');
+  const $dubbing = () => QS('#toggleDubbing');
+  const $dubbingOverflow = () => QS('#selectDubbingOverflow');
+  const $dubbingOverflowField = () => QS('#fieldDubbingOverflow');
+  const $reading = () => QS('#toggleReading');
+  const $readingCps = () => QS('#inputReadingCps');
+  const $readingAdapt = () => QS('#selectReadingAdapt');
+  const $readingFields = () => QS('#fieldReading');
+  const $vocabulary = () => QS('#toggleVocabulary');
+  const $btnExportWords = () => QS('#btnExportWords');
+  const $btnWordList = () => QS('#btnWordList');
+  const $wordList = () => QS('#wordList');
+  const $romanization = () => QS('#selectRomanization');
+  const $romanizationPlacement = () => QS('#selectRomanizationPlacement');
+  const $romanizationField = () => QS('#fieldRomanizationPlacement');
+  const $romanizationSample = () => QS('#romanizationSample');
+  const $backendUrl = () => QS('#inputBackendUrl');
+  const $apiKey = () => QS('#inputApiKey');
+  const $btnTest = () => QS('#btnTestConnection');
+  const $exportFormat = () => QS('#selectExportFormat');
+  const $exportBilingual = () => QS('#toggleExportBilingual');
+  const $btnExport = () => QS('#btnExport');
+  const $btnExportCorrections = () => QS('#btnExportCorrections');
+  const $btnExportConfig = () => QS('#btnExportConfig');
+  const $importConfig = () => QS('#inputImportConfig');
+  const $logLevel = () => QS('#selectLogLevel');
+  const $diagSummary = () => QS('#diagSummary');
+  const $diagLatency = () => QS('#diagLatency');
+  const $btnRefreshDiagnostics = () => QS('#btnRefreshDiagnostics');
+  const $btnCopyReport = () => QS('#btnCopyReport');
+  const $siteField = () => QS('#fieldSiteAccess');
+  const $siteStatus = () => QS('#siteStatus');
+  const $btnSiteAccess = () => QS('#btnSiteAccess');
+  const $localFile = () => QS('#inputLocalFile');
+  const $localOffset = () => QS('#inputLocalOffset');
+  const $btnClearLocal = () => QS('#btnClearLocal');
+  const $localStatus = () => QS('#localStatus');
+  const $transcriptSource = () => QS('#selectTranscriptSource');
+  const $captionTrack = () => QS('#selectCaptionTrack');
+  const $trackField = () => QS('#fieldCaptionTrack');
+  const $glossaryScope = () => QS('#selectGlossaryScope');
+  const $glossaryTerms = () => QS('#textGlossaryTerms');
+  const $glossaryDnt = () => QS('#textGlossaryDnt');
+  const $violations = () => QS('#glossaryViolations');
+  const $btnViolations = () => QS('#btnGlossaryViolations');
   const $btn = () => QS('#btnStartStop');
   const $pill = () => QS('#statusPill');
+  const $statusDetail = () => QS('#statusDetail');
   const $toast = () => QS('#toast');
 
   // ---------- UI helpers ----------
-  const setPill = (status) => {
+  const setPill = (status, label) => {
+    // `label` optionally overrides the default text (e.g. health check results)
     STATE.runtimeStatus = status;
     const pill = $pill();
     pill.classList.remove('sst-pill--idle', 'sst-pill--active', 'sst-pill--error');
     if (status === 'active') {
-      pill.textContent = 'Active';
+      pill.textContent = label || 'Active';
       pill.classList.add('sst-pill--active');
     } else if (status === 'error') {
-      pill.textContent = 'Error';
+      pill.textContent = label || 'Error';
       pill.classList.add('sst-pill--error');
     } else {
-      pill.textContent = 'Idle';
+      pill.textContent = label || 'Idle';
       pill.classList.add('sst-pill--idle');
     }
   };
@@ -116,15 +254,138 @@
     }
   };
 
+  const renderProfileBadge = () => {
+    const res = SST_PROFILES.resolve(STATE.hintProfiles, { videoId: STATE.videoId, channelId: STATE.channel?.id });
+    const badge = $profileBadge();
+    badge.textContent = res.profile ? `Hint: ${res.profile.name}` : 'Hint: default';
+    badge.title = res.profile ? `Bound to this ${res.scope}` : 'No profile bound to this video or channel';
+  };
+
+  const renderHintProfiles = () => {
+    const store = STATE.hintProfiles;
+    const current = SST_PROFILES.find(store, STATE.editingProfile);
+    if (!current) STATE.editingProfile = '';
+    $hintProfile().replaceChildren(
+      new Option('Default hint', ''),
+      ...store.profiles.map(p => new Option(p.name, p.id))
+    );
+    $hintProfile().value = STATE.editingProfile;
+    $hint().value = current ? current.hint : STATE.hint;
+    $btnDeleteProfile().disabled = !current;
+
+    const bindChannel = $bindChannel();
+    const bindVideo = $bindVideo();
+    bindChannel.disabled = !current || !STATE.channel?.id;
+    bindVideo.disabled = !current || !STATE.videoId;
+    bindChannel.checked = !!current && store.bindings.channels[STATE.channel?.id] === current.id;
+    bindVideo.checked = !!current && store.bindings.videos[STATE.videoId] === current.id;
+    QS('label[for="toggleBindChannel"]').textContent = STATE.channel?.name
+      ? `Use for channel “${STATE.channel.name}”`
+      : 'Use for this channel';
+    renderProfileBadge();
+  };
+
+  const glossaryScopeData = () => (STATE.glossaryScope === 'global'
+    ? STATE.glossary.global
+    : STATE.glossary.channels[STATE.glossaryScope]) || { terms: [], dnt: [] };
+
+  const renderGlossaryScopes = () => {
+    const opts = [new Option('Global (all videos)', 'global')];
+    const ids = new Set(Object.keys(STATE.glossary.channels));
+    if (STATE.channel?.id) ids.add(STATE.channel.id);
+    for (const id of ids) {
+      const name = STATE.glossary.channels[id]?.name || (id === STATE.channel?.id ? STATE.channel.name : id);
+      const current = id === STATE.channel?.id ? ' — this video' : '';
+      opts.push(new Option(`Channel: ${name}${current}`, id));
+    }
+    $glossaryScope().replaceChildren(...opts);
+    if (STATE.glossaryScope !== 'global' && !ids.has(STATE.glossaryScope)) STATE.glossaryScope = 'global';
+    $glossaryScope().value = STATE.glossaryScope;
+    const data = glossaryScopeData();
+    $glossaryTerms().value = SST_GLOSSARY.formatTerms(data.terms);
+    $glossaryDnt().value = (data.dnt || []).join('\n');
+  };
+
   const applyUI = () => {
     $enabled().checked = !!STATE.enabled;
-    $language().value = STATE.language;
-    $hint().value = STATE.hint;
+    renderLanguageOptions();
+    renderHintProfiles();
+    $display().value = STATE.display;
+    $transcriptPanel().checked = !!STATE.transcriptPanel;
+    $dubbing().checked = !!STATE.dubbing;
+    $dubbingOverflow().value = STATE.dubbingOverflow;
+    $dubbingOverflowField().hidden = !STATE.dubbing;
+    $reading().checked = !!STATE.reading;
+    $readingCps().value = String(STATE.readingCps);
+    $readingAdapt().value = STATE.readingAdapt;
+    $readingFields().hidden = !STATE.reading;
+    $vocabulary().checked = !!STATE.vocabulary;
+    $romanization().value = STATE.romanization;
+    $romanizationPlacement().value = STATE.romanizationPlacement;
+    renderRomanizationSample();
+    $backendUrl().value = STATE.backendUrl;
+    $apiKey().value = STATE.apiKey;
+    $exportFormat().value = STATE.exportFormat;
+    $logLevel().value = STATE.logLevel;
+    $exportBilingual().checked = !!STATE.exportBilingual;
+    $localOffset().value = String(STATE.localOffset);
+    $transcriptSource().value = STATE.transcriptSource;
+    $trackField().hidden = STATE.transcriptSource !== 'youtube';
+    renderGlossaryScopes();
+    renderCaptionStyle();
     setButtonState(false);
     setPill('idle');
   };
 
   // ---------- Messaging ----------
+  const settingsPayload = () => ({
+    enabled: !!STATE.enabled,
+    language: STATE.language,
+    sourceLanguage: STATE.sourceLanguage,
+    hint: STATE.hint,
+    display: STATE.display,
+    backend: { baseUrl: STATE.backendUrl, apiKey: STATE.apiKey },
+    localOffset: STATE.localOffset,
+    transcriptSource: STATE.transcriptSource,
+    captionTrack: STATE.captionTrack,
+    transcriptPanel: !!STATE.transcriptPanel,
+    dubbing: { enabled: !!STATE.dubbing, overflow: STATE.dubbingOverflow },
+    reading: { enabled: !!STATE.reading, cps: STATE.readingCps, adapt: STATE.readingAdapt },
+    vocabulary: !!STATE.vocabulary,
+    romanization: { scheme: STATE.romanization, placement: STATE.romanizationPlacement },
+    glossary: STATE.glossary,
+    hintProfiles: STATE.hintProfiles,
+    captionStyle: STATE.captionStyle,
+    logLevel: STATE.logLevel
+  });
+
+  const sendToBackground = (message) => new Promise((resolve) => {
+    if (!hasChrome || !chrome.runtime?.sendMessage) {
+      resolve({ ok: false, error: 'Extension runtime unavailable.' });
+      return;
+    }
+    chrome.runtime.sendMessage(message, (resp) => {
+      const err = chrome.runtime?.lastError;
+      if (err) resolve({ ok: false, error: err.message });
+      else resolve(resp || { ok: false, error: 'No response from background worker.' });
+    });
+  });
+
+  const ensureHostPermission = (baseUrl) => new Promise((resolve) => {
+    // Non-default backends need a runtime host grant (optional_host_permissions)
+    if (!hasChrome || !chrome.permissions?.request) return resolve(true);
+    const origins = [`${new URL(baseUrl).origin}/*`];
+    chrome.permissions.request({ origins }, (granted) => {
+      if (chrome.runtime?.lastError) resolve(false);
+      else resolve(!!granted);
+    });
+  });
+  const playerFrame = async (tabId) => {
+    // { frameId } of the frame owning the tab's player (background.js claimFrame); {} → every frame
+    const resp = await sendToBackground({ type: 'SST_FRAME_GET', ts: Date.now(), payload: { tabId } });
+    return Number.isInteger(resp?.data) ? { frameId: resp.data } : {};
+  };
+
   const sendToActiveTab = async (message) => {
     if (!hasChrome || !chrome.tabs?.query) {
       console.log('[POPUP] (no chrome API) message', message);
@@ -135,13 +396,17 @@
         chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => resolve(tabs || []));
       });
       if (!tab?.id) throw new Error('No active tab.');
-      return await new Promise((resolve) => {
-        chrome.tabs.sendMessage(tab.id, message, (resp) => {
+      const send = (options) => new Promise((resolve) => {
+        chrome.tabs.sendMessage(tab.id, message, options, (resp) => {
           const err = chrome.runtime?.lastError;
-          if (err) resolve({ ok: false, error: err.message });
+          if (err) resolve({ ok: false, error: err.message, unreachable: true });
           else resolve(resp || { ok: true });
         });
       });
+      const frame = await playerFrame(tab.id);
+      const resp = await send(frame);
+      // The claimed frame may have gone (navigated away); fall back to every frame
+      return resp.unreachable && 'frameId' in frame ? send({}) : resp;
     } catch (e) {
       return { ok: false, error: e.message };
     }
@@ -151,17 +416,74 @@
     const payload = {
       type: 'SETTINGS_CHANGED',
       ts: Date.now(),
-      settings: {
-        enabled: !!STATE.enabled,
-        language: STATE.language,
-        hint: STATE.hint
-      },
+      settings: settingsPayload(),
       source: 'popup'
     };
     const r = await sendToActiveTab(payload);
     if (!r.ok && !r.offline) setPill('error');
   }, 250);
 
+  // ---------- Live status ----------
+  const ERROR_KINDS = {
+    client: 'Backend rejected the request',
+    server: 'Backend error',
+    timeout: 'Backend timed out',
+    offline: 'Offline',
+    network: 'Backend unreachable',
+    contract: 'Backend sent an invalid response',
+  };
+
+  const statusDetailText = (st) => {
+    if (!st) return '';
+    const err = st.lastError;
+    if (err) {
+      const what = `${ERROR_KINDS[err.kind] || 'Error'}${err.status ? ` (${err.status})` : ''}`;
+      if (err.kind === 'offline') return `${what} · waiting for the connection`;
+      const secs = STATE.retryAt ? Math.max(0, Math.ceil((STATE.retryAt - Date.now()) / 1000)) : null;
+      return secs === null ? what : `${what} · ${st.breakerOpen ? 'paused, ' : ''}retrying in ${secs}s`;
+    }
+    const parts = [];
+    if (st.cache.hitRate !== null) parts.push(`Cache ${Math.round(st.cache.hitRate * 100)}%`);
+    if (st.latency.avgMs !== null) parts.push(`${st.latency.avgMs} ms`);
+    return parts.join(' · ');
+  };
+
+  const renderStatusDetail = () => {
+    const detail = $statusDetail();
+    detail.textContent = statusDetailText(STATE.status);
+    detail.hidden = !detail.textContent;
+  };
+
+  const renderStatus = (st) => {
+    STATE.status = st;
+    STATE.retryAt = st.retryInMs === null ? null : Date.now() + st.retryInMs;
+    setButtonState(st.mode !== 'idle');
+    if (st.mode === 'error') setPill('error');
+    else if (st.mode === 'active' && st.degraded) setPill('error', st.breakerOpen ? 'Paused' : 'Retrying');
+    else setPill(st.mode);
+    renderStatusDetail();
+  };
+
+  const loadStatus = async () => {
+    const resp = await sendToActiveTab({ type: 'GET_STATUS', ts: Date.now(), source: 'popup' });
+    if (resp.ok && resp.status) renderStatus(resp.status);
+  };
+
+  const subscribeStatus = async () => {
+    // The tab pushes a snapshot on every state/error/cache change while the popup stays open
+    if (!hasChrome || !chrome.tabs?.connect) return;
+    const [tab] = await new Promise((resolve) => {
+      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => resolve(tabs || []));
+    });
+    if (!tab?.id) return;
+    const port = chrome.tabs.connect(tab.id, { name: 'sst-status', ...(await playerFrame(tab.id)) }); // content.js SST.STATUS_PORT
+    port.onMessage.addListener((msg) => {
+      if (msg?.type === 'STATUS' && msg.status) renderStatus(msg.status);
+    });
+    port.onDisconnect.addListener(() => void chrome.runtime.lastError); // no content script on this tab
+    setInterval(renderStatusDetail, 1000); // keeps the retry countdown moving
+  };
+
   // ---------- Event handlers ----------
   const onToggle = async (e) => {
     STATE.enabled = !!e.currentTarget.checked;
@@ -169,18 +491,747 @@
     emitSettingsChanged();
   };
 
+  const renderLanguageOptions = () => {
+    const options = () => SST_LANGUAGES.LANGUAGES.map(l => new Option(l.name, l.code));
+    const detected = SST_LANGUAGES.get(STATE.detectedSource)?.name;
+    $language().replaceChildren(...options());
+    $sourceLanguage().replaceChildren(
+      new Option(detected ? `Auto-detect (${detected})` : 'Auto-detect', SST_LANGUAGES.AUTO),
+      ...options()
+    );
+    $language().value = STATE.language;
+    $sourceLanguage().value = STATE.sourceLanguage;
+  };
+
+  const onSourceLanguage = async (e) => {
+    STATE.sourceLanguage = e.currentTarget.value;
+    await storageSet({ [STORAGE_KEYS.sourceLanguage]: STATE.sourceLanguage });
+    emitSettingsChanged();
+  };
+
   const onLanguage = async (e) => {
     STATE.language = e.currentTarget.value;
     await storageSet({ [STORAGE_KEYS.language]: STATE.language });
     emitSettingsChanged();
   };
 
+  const onDisplay = async (e) => {
+    STATE.display = e.currentTarget.value;
+    await storageSet({ [STORAGE_KEYS.display]: STATE.display });
+    emitSettingsChanged();
+  };
+
+  const onTranscriptPanel = async (e) => {
+    STATE.transcriptPanel = !!e.currentTarget.checked;
+    await storageSet({ [STORAGE_KEYS.transcriptPanel]: STATE.transcriptPanel });
+    emitSettingsChanged();
+  };
+
+  const onDubbing = async (e) => {
+    STATE.dubbing = !!e.currentTarget.checked;
+    $dubbingOverflowField().hidden = !STATE.dubbing;
+    await storageSet({ [STORAGE_KEYS.dubbing]: STATE.dubbing });
+    emitSettingsChanged();
+  };
+
+  const onDubbingOverflow = async (e) => {
+    STATE.dubbingOverflow = e.currentTarget.value;
+    await storageSet({ [STORAGE_KEYS.dubbingOverflow]: STATE.dubbingOverflow });
+    emitSettingsChanged();
+  };
+
+  const onReading = async (e) => {
+    STATE.reading = !!e.currentTarget.checked;
+    $readingFields().hidden = !STATE.reading;
+    await storageSet({ [STORAGE_KEYS.reading]: STATE.reading });
+    emitSettingsChanged();
+  };
+
+  const onReadingCps = async (e) => {
+    const value = Number(e.currentTarget.value);
+    if (!Number.isFinite(value) || value <= 0) return;
+    STATE.readingCps = Math.round(value);
+    await storageSet({ [STORAGE_KEYS.readingCps]: STATE.readingCps });
+    emitSettingsChanged();
+  };
+
+  const onReadingAdapt = async (e) => {
+    STATE.readingAdapt = e.currentTarget.value;
+    await storageSet({ [STORAGE_KEYS.readingAdapt]: STATE.readingAdapt });
+    emitSettingsChanged();
+  };
+
+  const onVocabulary = async (e) => {
+    STATE.vocabulary = !!e.currentTarget.checked;
+    await storageSet({ [STORAGE_KEYS.vocabulary]: STATE.vocabulary });
+    emitSettingsChanged();
+  };
+
+  const ROMANIZATION_SAMPLE = 'എന്റെ നാട് കേരളം';
+
+  const renderRomanizationSample = () => {
+    const on = STATE.romanization !== 'off';
+    $romanizationField().hidden = !on;
+    $romanizationSample().textContent = on
+      ? `${ROMANIZATION_SAMPLE} → ${SST_TRANSLIT.transliterate(ROMANIZATION_SAMPLE, STATE.romanization)}`
+      : 'Shows Malayalam captions in Latin letters.';
+  };
+
+  const onRomanization = async (e) => {
+    STATE.romanization = e.currentTarget.value;
+    renderRomanizationSample();
+    await storageSet({ [STORAGE_KEYS.romanization]: STATE.romanization });
+    emitSettingsChanged();
+  };
+
+  const onRomanizationPlacement = async (e) => {
+    STATE.romanizationPlacement = e.currentTarget.value;
+    await storageSet({ [STORAGE_KEYS.romanizationPlacement]: STATE.romanizationPlacement });
+    emitSettingsChanged();
+  };
+
+  const normalizeBaseUrl = (raw) => {
+    // Returns a trimmed http(s) origin+path without trailing slash, or null if invalid
+    try {
+      const u = new URL(String(raw || '').trim());
+      if (u.protocol !== 'http:' && u.protocol !== 'https:') return null;
+      return u.toString().replace(/\/+$/, '');
+    } catch {
+      return null;
+    }
+  };
+
+  const onBackendUrlChange = async (e) => {
+    const raw = e.currentTarget.value;
+    const url = raw.trim() ? normalizeBaseUrl(raw) : DEFAULTS[STORAGE_KEYS.backendUrl];
+    if (!url) {
+      showToast('Backend URL must start with http:// or https://', 'error');
+      return;
+    }
+    e.currentTarget.value = url;
+    // ask first: the permission prompt needs the user gesture that fired `change`
+    const granted = await ensureHostPermission(url);
+    STATE.backendUrl = url;
+    await storageSet({ [STORAGE_KEYS.backendUrl]: STATE.backendUrl });
+    if (!granted) showToast('Permission to reach this backend was not granted.', 'error');
+    emitSettingsChanged();
+  };
+
+  const onApiKeyInput = async (e) => {
+    STATE.apiKey = e.currentTarget.value.trim();
+    await storageSet({ [STORAGE_KEYS.apiKey]: STATE.apiKey });
+    emitSettingsChanged();
+  };
+
+  const onTestConnection = async () => {
+    const btn = $btnTest();
+    btn.disabled = true;
+    try {
+      if (!(await ensureHostPermission(STATE.backendUrl))) {
+        setPill('error', 'No permission');
+        showToast('Permission to reach this backend was not granted.', 'error');
+        return;
+      }
+      const resp = await sendToBackground({
+        type: 'SST_HEALTH',
+        payload: { backend: settingsPayload().backend }
+      });
+      if (resp.ok) {
+        const ms = Math.round(resp.data?.latencyMs || 0);
+        setPill('active', `Connected · ${ms} ms`);
+        showToast(`Backend reachable (${ms} ms)`, 'success');
+      } else {
+        setPill('error', resp.status ? `HTTP ${resp.status}` : 'Unreachable');
+        showToast(`Connection failed: ${resp.error || 'Unknown error'}`, 'error');
+      }
+    } finally {
+      btn.disabled = false;
+    }
+  };
+
+  const onExportFormat = async (e) => {
+    STATE.exportFormat = e.currentTarget.value;
+    await storageSet({ [STORAGE_KEYS.exportFormat]: STATE.exportFormat });
+  };
+
+  const onExportBilingual = async (e) => {
+    STATE.exportBilingual = !!e.currentTarget.checked;
+    await storageSet({ [STORAGE_KEYS.exportBilingual]: STATE.exportBilingual });
+  };
+
+  const onExport = async () => {
+    const btn = $btnExport();
+    btn.disabled = true;
+    showToast('Preparing subtitles… missing parts are fetched first.');
+    try {
+      const resp = await sendToActiveTab({
+        type: 'EXPORT_SUBTITLES',
+        ts: Date.now(),
+        settings: settingsPayload(),
+        options: { format: STATE.exportFormat, bilingual: !!STATE.exportBilingual },
+        source: 'popup'
+      });
+      if (resp.ok && !resp.offline) showToast(`Saved ${resp.filename} (${resp.count} lines)`, 'success');
+      else if (!resp.ok) showToast(`Export failed: ${resp.error || 'Unknown error'}`, 'error');
+    } finally {
+      btn.disabled = false;
+    }
+  };
+
+  const onExportCorrections = async () => {
+    const btn = $btnExportCorrections();
+    btn.disabled = true;
+    try {
+      const resp = await sendToBackground({ type: 'SST_CORRECTIONS_EXPORT', ts: Date.now() });
+      if (!resp?.ok) throw new Error(resp?.error || 'Unknown error');
+      const data = resp.data;
+      if (!data.corrections.length) return showToast('No corrections saved yet.');
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `sst-corrections-${data.exportedAt.slice(0, 10)}.json`;
+      document.body.append(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      showToast(`Exported ${data.corrections.length} corrections (${data.pendingUpload} not yet uploaded)`, 'success');
+    } catch (err) {
+      showToast(`Export failed: ${err.message}`, 'error');
+    } finally {
+      btn.disabled = false;
+    }
+  };
+
+  const csvCell = (value) => {
+    const s = String(value ?? '');
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+
+  const clockTime = (sec) => {
+    // 83.4 → "1:23", 3723 → "1:02:03"; '' when the word has no time
+    if (!Number.isFinite(sec) || sec < 0) return '';
+    const total = Math.floor(sec);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor(total / 60) % 60;
+    const ss = String(total % 60).padStart(2, '0');
+    return h ? `${h}:${String(m).padStart(2, '0')}:${ss}` : `${m}:${ss}`;
+  };
+
+  const ankiCsv = (words) => {
+    // Header lines tell Anki (2.1.54+) the separator, column names and which column holds tags.
+    // Time is its own column: only YouTube links carry it (&t=), other pages link the bare URL.
+    const columns = ['Word', 'Gloss', 'Source phrase', 'Sentence', 'Source sentence', 'Link', 'Time', 'Tags'];
+    const rows = words.map(w => [
+      w.word, w.gloss, w.sourcePhrase, w.sentence, w.sourceSentence, w.url, clockTime(w.start), `sst ${w.language}`
+    ].map(csvCell).join(','));
+    return ['#separator:comma', '#html:false', `#columns:${columns.join(',')}`, `#tags column:${columns.length}`, ...rows]
+      .join('\n');
+  };
+
+  const onExportWords = async () => {
+    const btn = $btnExportWords();
+    btn.disabled = true;
+    try {
+      const resp = await sendToBackground({ type: 'SST_WORDS_EXPORT', ts: Date.now() });
+      if (!resp?.ok) throw new Error(resp?.error || 'Unknown error');
+      const { words, exportedAt } = resp.data;
+      if (!words.length) return showToast('No words saved yet.');
+      const blob = new Blob([ankiCsv(words)], { type: 'text/csv' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `sst-words-${exportedAt.slice(0, 10)}.csv`;
+      document.body.append(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      showToast(`Exported ${words.length} words for Anki`, 'success');
+    } catch (err) {
+      showToast(`Export failed: ${err.message}`, 'error');
+    } finally {
+      btn.disabled = false;
+    }
+  };
+
+  const wordItem = (w) => {
+    const li = document.createElement('li');
+    const text = document.createElement('span');
+    text.textContent = w.gloss ? `${w.word} · ${w.gloss}` : w.word;
+    const del = document.createElement('button');
+    del.type = 'button';
+    del.className = 'sst-btn sst-btn--inline';
+    del.textContent = 'Delete';
+    del.setAttribute('aria-label', `Delete "${w.word}" from the word list`);
+    del.addEventListener('click', async () => {
+      del.disabled = true;
+      const resp = await sendToBackground({
+        type: 'SST_WORD_DELETE', ts: Date.now(), payload: { word: w.word, language: w.language }
+      });
+      if (!resp?.ok) {
+        del.disabled = false;
+        return showToast(`Could not delete: ${resp?.error || 'Unknown error'}`, 'error');
+      }
+      li.remove();
+      if (!$wordList().children.length) onShowWordList();
+    });
+    li.append(text, del);
+    return li;
+  };
+
+  const onShowWordList = async () => {
+    const list = $wordList();
+    const resp = await sendToBackground({ type: 'SST_WORDS_EXPORT', ts: Date.now() });
+    if (!resp?.ok) return showToast(`Could not load the word list: ${resp?.error || 'Unknown error'}`, 'error');
+    // Newest first: usually the ones to tidy up
+    const items = resp.data.words.slice().reverse().map(wordItem);
+    if (!items.length) {
+      const li = document.createElement('li');
+      li.textContent = 'No words saved yet.';
+      items.push(li);
+    }
+    list.replaceChildren(...items);
+    list.hidden = false;
+  };
+
+  // ---------- Configuration file ----------
+  const onExportConfig = async () => {
+    try {
+      const config = await SST_SETTINGS.exportConfig();
+      const blob = new Blob([JSON.stringify(config, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `sst-config-${config.exportedAt.slice(0, 10)}.json`;
+      document.body.append(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      showToast(`Exported ${Object.keys(config.settings).length} settings (API key left out)`, 'success');
+    } catch (err) {
+      showToast(`Export failed: ${err.message}`, 'error');
+    }
+  };
+
+  const reviewImportedBackend = async (settings) => {
+    // A file may point the backend elsewhere: ask before sending subtitles (and the API key,
+    // which belongs to the current backend and is dropped) to another origin
+    const key = STORAGE_KEYS.backendUrl;
+    if (!(key in settings)) return settings;
+    const { [key]: raw, ...rest } = settings;
+    const url = normalizeBaseUrl(raw);
+    if (!url) return rest;
+    if (new URL(url).origin === new URL(STATE.backendUrl).origin) return { ...rest, [key]: url };
+    if (!window.confirm(`This file sets the backend to ${new URL(url).origin}. Send subtitles there from now on? Your API key will be cleared.`)) {
+      showToast('Kept the current backend.');
+      return rest;
+    }
+    if (!(await ensureHostPermission(url))) showToast('Permission to reach this backend was not granted.', 'error');
+    return { ...rest, [key]: url, [STORAGE_KEYS.apiKey]: '' };
+  };
+
+  const onImportConfig = async (e) => {
+    const input = e.currentTarget;
+    const file = input.files?.[0];
+    if (!file) return;
+    try {
+      const count = await SST_SETTINGS.importConfig(await file.text(), reviewImportedBackend);
+      await loadSettings();
+      applyUI();
+      loadStatus(); // applyUI resets the status pill and Start/Stop to idle
+      emitSettingsChanged();
+      showToast(`Imported ${count} settings from ${file.name}`, 'success');
+    } catch (err) {
+      showToast(`Could not import: ${err.message}`, 'error');
+    } finally {
+      input.value = '';
+    }
+  };
+
+  // ---------- Diagnostics ----------
+  const REDACTED = '[redacted]';
+
+  const redactUrl = (raw) => {
+    // Keeps origin + path; credentials and query strings may carry tokens
+    try {
+      const u = new URL(raw);
+      return `${u.origin}${u.pathname}${u.username || u.password || u.search ? ` (${REDACTED} credentials/query)` : ''}`;
+    } catch { return raw ? REDACTED : ''; }
+  };
+
+  const redactSettings = (settings) => ({
+    ...settings,
+    backend: {
+      baseUrl: redactUrl(settings.backend?.baseUrl),
+      apiKey: settings.backend?.apiKey ? REDACTED : ''
+    }
+  });
+
+  const formatMs = (ms) => (ms === null || ms === undefined ? '–' : `${ms} ms`);
+
+  const renderDiagnostics = (diag) => {
+    const table = $diagLatency();
+    const rows = Object.entries(diag?.latency || {});
+    table.hidden = !rows.length;
+    table.tBodies[0].replaceChildren(...rows.map(([endpoint, s]) => {
+      const tr = document.createElement('tr');
+      for (const text of [endpoint, s.count, formatMs(s.p50), formatMs(s.p95), s.failures]) {
+        const td = document.createElement('td');
+        td.textContent = String(text);
+        tr.append(td);
+      }
+      return tr;
+    }));
+    if (!diag) {
+      $diagSummary().textContent = 'Open a video to see request timings.';
+      return;
+    }
+    const { cache } = diag.status;
+    const hitRate = cache.hitRate === null ? '–' : `${Math.round(cache.hitRate * 100)}%`;
+    $diagSummary().textContent = `Cache hit rate ${hitRate} (${cache.hits}/${cache.hits + cache.misses}) · `
+      + `${diag.events.length} events buffered · player: ${diag.page.player || 'none'}`;
+  };
+
+  const loadDiagnostics = async () => {
+    const resp = await sendToActiveTab({ type: 'GET_DIAGNOSTICS', ts: Date.now(), source: 'popup' });
+    const diag = resp.ok && !resp.offline ? resp.diagnostics || null : null;
+    renderDiagnostics(diag);
+    return diag;
+  };
+
+  const onLogLevel = async (e) => {
+    STATE.logLevel = e.currentTarget.value;
+    await storageSet({ [STORAGE_KEYS.logLevel]: STATE.logLevel });
+    emitSettingsChanged();
+  };
+
+  const onCopyReport = async () => {
+    const btn = $btnCopyReport();
+    btn.disabled = true;
+    try {
+      const diagnostics = await loadDiagnostics();
+      const report = {
+        generatedAt: new Date().toISOString(),
+        extension: hasChrome ? chrome.runtime.getManifest().version : null,
+        userAgent: navigator.userAgent,
+        settings: redactSettings(settingsPayload()),
+        diagnostics // null when no tab answered
+      };
+      await navigator.clipboard.writeText(JSON.stringify(report, null, 2));
+      showToast(diagnostics ? 'Debug report copied.' : 'Debug report copied (no video tab found).', 'success');
+    } catch (err) {
+      showToast(`Could not copy the report: ${err.message}`, 'error');
+    } finally {
+      btn.disabled = false;
+    }
+  };
+
+  // ---------- Site access ----------
+  // YouTube (incl. embeds and youtube-nocookie) is matched by the manifest; other sites need a grant
+  const BUILT_IN_HOST_RE = /(^|\.)youtube(-nocookie)?\.com$/;
+
+  const renderSiteAccess = () => {
+    const site = STATE.site;
+    $siteField().hidden = !site;
+    if (!site) return;
+    const host = new URL(site.origin).host;
+    const btn = $btnSiteAccess();
+    btn.hidden = site.builtIn;
+    btn.textContent = site.enabled ? 'Disable on this site' : 'Enable on this site';
+    $siteStatus().textContent = site.builtIn
+      ? 'YouTube players are supported everywhere, including embeds.'
+      : site.enabled
+        ? `Enabled on ${host}: videos with caption tracks are translated.`
+        : `Not enabled on ${host}.`;
+  };
+
+  const loadSiteAccess = async () => {
+    // activeTab exposes the tab URL while the popup is open
+    if (!hasChrome || !chrome.tabs?.query) return;
+    const [tab] = await new Promise((resolve) => {
+      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => resolve(tabs || []));
+    });
+    let url = null;
+    try { url = new URL(tab?.url || ''); } catch {}
+    if (!tab?.id || !url || !/^https?:$/.test(url.protocol)) return;
+    const builtIn = BUILT_IN_HOST_RE.test(url.hostname);
+    let enabled = builtIn;
+    if (!builtIn) {
+      const resp = await sendToBackground({ type: 'SST_SITES_GET', ts: Date.now() });
+      enabled = !!resp.ok && resp.data.includes(url.origin);
+    }
+    STATE.site = { origin: url.origin, tabId: tab.id, builtIn, enabled };
+    renderSiteAccess();
+  };
+
+  const onSiteAccess = async () => {
+    const site = STATE.site;
+    if (!site || site.builtIn) return;
+    const btn = $btnSiteAccess();
+    btn.disabled = true;
+    try {
+      if (!site.enabled) {
+        // Must run inside the click: permission prompts need a user gesture
+        if (!(await ensureHostPermission(site.origin))) {
+          showToast('Permission for this site was not granted.', 'error');
+          return;
+        }
+        const resp = await sendToBackground({ type: 'SST_SITE_ENABLE', ts: Date.now(), payload: { origin: site.origin, tabId: site.tabId } });
+        if (!resp.ok) throw new Error(resp.error || 'Unknown error');
+        site.enabled = true;
+        showToast('Enabled on this site.', 'success');
+        emitSettingsChanged(); // the freshly injected script starts right away when the translator is on
+      } else {
+        const resp = await sendToBackground({ type: 'SST_SITE_DISABLE', ts: Date.now(), payload: { origin: site.origin } });
+        if (!resp.ok) throw new Error(resp.error || 'Unknown error');
+        site.enabled = false;
+        // Keep the grant when the backend lives on this origin
+        let backendOrigin = null;
+        try { backendOrigin = new URL(STATE.backendUrl).origin; } catch {}
+        if (backendOrigin !== site.origin && chrome.permissions?.remove) {
+          chrome.permissions.remove({ origins: [`${site.origin}/*`] }, () => void chrome.runtime?.lastError);
+        }
+        showToast('Disabled on this site. Reload the page to remove the overlay.', 'success');
+      }
+    } catch (err) {
+      showToast(`Site access failed: ${err.message}`, 'error');
+    } finally {
+      btn.disabled = false;
+      renderSiteAccess();
+    }
+  };
+
+  const onLocalFile = async (e) => {
+    const input = e.currentTarget;
+    const file = input.files?.[0];
+    if (!file) return;
+    try {
+      const lines = SST_SUBTITLES.parse(await file.text(), /\.vtt$/i.test(file.name) ? 'vtt' : undefined);
+      if (!lines.length) throw new Error('No cues found in file.');
+      const resp = await sendToActiveTab({
+        type: 'LOAD_LOCAL_SUBTITLES',
+        ts: Date.now(),
+        file: { id: `${file.size}-${file.lastModified}`, name: file.name },
+        lines,
+        source: 'popup'
+      });
+      if (!resp.ok) throw new Error(resp.error || 'Unknown error');
+      $localStatus().textContent = `Using ${file.name} (${lines.length} cues).`;
+      showToast(`Loaded ${lines.length} cues from ${file.name}`, 'success');
+    } catch (err) {
+      showToast(`Could not load subtitles: ${err.message}`, 'error');
+    } finally {
+      input.value = ''; // allow re-picking the same file after edits
+    }
+  };
+
+  const onClearLocal = async () => {
+    const resp = await sendToActiveTab({ type: 'CLEAR_LOCAL_SUBTITLES', ts: Date.now(), source: 'popup' });
+    if (!resp.ok) return showToast(`Failed: ${resp.error || 'Unknown error'}`, 'error');
+    $localStatus().textContent = 'Using the backend transcript.';
+    showToast('Switched back to backend transcript');
+  };
+
+  const onLocalOffset = async (e) => {
+    const value = Number(e.currentTarget.value);
+    if (!Number.isFinite(value)) return;
+    STATE.localOffset = Math.round(value * 10) / 10;
+    await storageSet({ [STORAGE_KEYS.localOffset]: STATE.localOffset });
+    emitSettingsChanged();
+  };
+
+  const renderTrackOptions = (tracks = [], note = '') => {
+    const select = $captionTrack();
+    const opts = [new Option(note || 'Auto (best manual track)', '')];
+    for (const t of tracks) opts.push(new Option(t.label, t.pref));
+    if (STATE.captionTrack && !tracks.some(t => t.pref === STATE.captionTrack)) {
+      opts.push(new Option(`${STATE.captionTrack} (not on this video)`, STATE.captionTrack));
+    }
+    select.replaceChildren(...opts);
+    select.value = STATE.captionTrack;
+  };
+
+  const loadCaptionTracks = async () => {
+    renderTrackOptions([], 'Loading tracks…');
+    const resp = await sendToActiveTab({ type: 'LIST_CAPTION_TRACKS', ts: Date.now(), source: 'popup' });
+    if (resp.ok && Array.isArray(resp.tracks)) {
+      renderTrackOptions(resp.tracks, resp.tracks.length ? '' : 'No caption tracks on this video');
+    } else {
+      renderTrackOptions([]);
+      if (!resp.offline) showToast(`Could not list caption tracks: ${resp.error || 'Unknown error'}`, 'error');
+    }
+  };
+
+  const onTranscriptSource = async (e) => {
+    STATE.transcriptSource = e.currentTarget.value;
+    $trackField().hidden = STATE.transcriptSource !== 'youtube';
+    await storageSet({ [STORAGE_KEYS.transcriptSource]: STATE.transcriptSource });
+    emitSettingsChanged();
+    if (STATE.transcriptSource === 'youtube') loadCaptionTracks();
+    loadPageContext();
+  };
+
+  const onCaptionTrack = async (e) => {
+    STATE.captionTrack = e.currentTarget.value;
+    await storageSet({ [STORAGE_KEYS.captionTrack]: STATE.captionTrack });
+    emitSettingsChanged();
+  };
+
+  const loadPageContext = async () => {
+    const resp = await sendToActiveTab({ type: 'GET_PAGE_CONTEXT', ts: Date.now(), source: 'popup' });
+    if (!resp.ok || resp.offline) return;
+    STATE.videoId = resp.videoId || null;
+    STATE.channel = resp.channel?.id ? resp.channel : null;
+    // default to what applies on this page: the channel's glossary, the tab's active hint profile
+    if (STATE.channel && STATE.glossary.channels[STATE.channel.id]) STATE.glossaryScope = STATE.channel.id;
+    if (resp.hintProfile?.id) STATE.editingProfile = resp.hintProfile.id;
+    if (STATE.sourceLanguage === SST_LANGUAGES.AUTO && resp.sourceLanguage) {
+      STATE.detectedSource = resp.sourceLanguage;
+      renderLanguageOptions();
+    }
+    renderGlossaryScopes();
+    renderHintProfiles();
+  };
+
+  const onGlossaryScope = (e) => {
+    STATE.glossaryScope = e.currentTarget.value;
+    renderGlossaryScopes();
+  };
+
+  const renderCaptionStyle = () => {
+    for (const field of $captionFields()) field.value = String(STATE.captionStyle[field.dataset.captionStyle]);
+    SST_CAPTION_STYLE.applyVars($captionPreview(), STATE.captionStyle);
+  };
+
+  const saveCaptionStyle = debounce(async () => {
+    // sliders fire on every step; storage.sync has a write quota
+    await storageSet({ [STORAGE_KEYS.captionStyle]: STATE.captionStyle });
+  }, 400);
+
+  const onCaptionStyleInput = () => {
+    const next = {};
+    for (const field of $captionFields()) next[field.dataset.captionStyle] = field.value;
+    STATE.captionStyle = SST_CAPTION_STYLE.normalize(next);
+    SST_CAPTION_STYLE.applyVars($captionPreview(), STATE.captionStyle);
+    saveCaptionStyle();
+    emitSettingsChanged(); // live preview on the video too
+  };
+
+  const onResetCaptionStyle = () => {
+    STATE.captionStyle = SST_CAPTION_STYLE.DEFAULTS();
+    renderCaptionStyle();
+    saveCaptionStyle();
+    emitSettingsChanged();
+  };
+
+  const onResetCaptionPosition = async () => {
+    const resp = await sendToActiveTab({ type: 'RESET_CAPTION_POSITION', ts: Date.now(), source: 'popup' });
+    if (resp.ok && !resp.offline && resp.mode) showToast(`Caption position reset (${resp.mode} view)`, 'success');
+    else showToast('Open a YouTube video to reset the caption position.', 'error');
+  };
+
+  const saveGlossary = debounce(async () => {
+    await storageSet({ [STORAGE_KEYS.glossary]: STATE.glossary });
+    emitSettingsChanged();
+  }, 400);
+
+  const onGlossaryInput = () => {
+    // Keep raw textarea text; normalize() drops incomplete rows and empty channel scopes
+    const scope = {
+      terms: SST_GLOSSARY.parseTerms($glossaryTerms().value),
+      dnt: SST_GLOSSARY.parseList($glossaryDnt().value)
+    };
+    const next = { global: STATE.glossary.global, channels: { ...STATE.glossary.channels } };
+    if (STATE.glossaryScope === 'global') {
+      next.global = scope;
+    } else {
+      const name = STATE.glossary.channels[STATE.glossaryScope]?.name
+        || (STATE.glossaryScope === STATE.channel?.id ? STATE.channel.name : STATE.glossaryScope);
+      next.channels[STATE.glossaryScope] = { ...scope, name };
+    }
+    STATE.glossary = SST_GLOSSARY.normalize(next);
+    saveGlossary();
+  };
+
+  const onShowViolations = async () => {
+    const list = $violations();
+    const resp = await sendToActiveTab({ type: 'GET_GLOSSARY_VIOLATIONS', ts: Date.now(), source: 'popup' });
+    if (!resp.ok) return showToast(`Could not load violations: ${resp.error || 'Unknown error'}`, 'error');
+    const items = (resp.violations || []).map(v => {
+      const li = document.createElement('li');
+      const what = v.kind === 'dnt' ? `"${v.term}" must stay untranslated` : `"${v.term}" → "${v.expected}"`;
+      li.textContent = `${v.start.toFixed(1)}s · ${what} · got: ${v.text}`;
+      return li;
+    });
+    if (!items.length) {
+      const li = document.createElement('li');
+      li.textContent = resp.offline ? 'No tab connected.' : 'No violations for this video.';
+      items.push(li);
+    }
+    list.replaceChildren(...items);
+    list.hidden = false;
+  };
+
+  const saveHintProfiles = async () => {
+    STATE.hintProfiles = SST_PROFILES.normalize(STATE.hintProfiles);
+    await storageSet({ [STORAGE_KEYS.hintProfiles]: STATE.hintProfiles });
+    emitSettingsChanged();
+  };
+
   const onHintInput = async (e) => {
+    const profile = SST_PROFILES.find(STATE.hintProfiles, STATE.editingProfile);
+    if (profile) {
+      profile.hint = e.currentTarget.value;
+      await saveHintProfiles(); // still debounced for message
+      return;
+    }
     STATE.hint = e.currentTarget.value;
     await storageSet({ [STORAGE_KEYS.hint]: STATE.hint }); // still debounced for message
     emitSettingsChanged();
   };
 
+  const onHintProfile = (e) => {
+    STATE.editingProfile = e.currentTarget.value;
+    renderHintProfiles();
+  };
+
+  const onNewProfile = async () => {
+    const name = $profileName().value.trim();
+    if (!name) {
+      showToast('Name the profile first.', 'error');
+      $profileName().focus();
+      return;
+    }
+    const profile = { id: SST_PROFILES.newId(), name, hint: $hint().value };
+    STATE.hintProfiles.profiles.push(profile);
+    STATE.editingProfile = profile.id;
+    $profileName().value = '';
+    await saveHintProfiles();
+    renderHintProfiles();
+    showToast(`Profile "${name}" created`, 'success');
+  };
+
+  const onDeleteProfile = async () => {
+    const profile = SST_PROFILES.find(STATE.hintProfiles, STATE.editingProfile);
+    if (!profile) return;
+    STATE.hintProfiles.profiles = STATE.hintProfiles.profiles.filter(p => p.id !== profile.id);
+    STATE.editingProfile = '';
+    await saveHintProfiles(); // normalize() also drops its bindings
+    renderHintProfiles();
+    showToast(`Profile "${profile.name}" deleted`);
+  };
+
+  const onBind = (scope, key) => async (e) => {
+    const profile = SST_PROFILES.find(STATE.hintProfiles, STATE.editingProfile);
+    const k = key();
+    if (!profile || !k) return;
+    const bindings = STATE.hintProfiles.bindings[scope];
+    if (e.currentTarget.checked) bindings[k] = profile.id;
+    else if (bindings[k] === profile.id) delete bindings[k];
+    await saveHintProfiles();
+    renderHintProfiles();
+  };
+
   const onStartStop = async () => {
     const ts = Date.now();
     if (!STATE.started) {
@@ -192,11 +1243,7 @@
       const resp = await sendToActiveTab({
         type: 'START_TRANSLATION',
         ts,
-        settings: {
-          enabled: !!STATE.enabled,
-          language: STATE.language,
-          hint: STATE.hint
-        },
+        settings: settingsPayload(),
         source: 'popup'
       });
       if (resp.ok) {
@@ -223,7 +1270,50 @@
   const bindEvents = () => {
     $enabled().addEventListener('change', onToggle);
     $language().addEventListener('change', onLanguage);
+    $sourceLanguage().addEventListener('change', onSourceLanguage);
     $hint().addEventListener('input', onHintInput);
+    $hintProfile().addEventListener('change', onHintProfile);
+    $btnNewProfile().addEventListener('click', onNewProfile);
+    $btnDeleteProfile().addEventListener('click', onDeleteProfile);
+    $bindChannel().addEventListener('change', onBind('channels', () => STATE.channel?.id));
+    $bindVideo().addEventListener('change', onBind('videos', () => STATE.videoId));
+    $display().addEventListener('change', onDisplay);
+    $transcriptPanel().addEventListener('change', onTranscriptPanel);
+    $dubbing().addEventListener('change', onDubbing);
+    $dubbingOverflow().addEventListener('change', onDubbingOverflow);
+    $reading().addEventListener('change', onReading);
+    $readingCps().addEventListener('input', onReadingCps);
+    $readingAdapt().addEventListener('change', onReadingAdapt);
+    $vocabulary().addEventListener('change', onVocabulary);
+    $romanization().addEventListener('change', onRomanization);
+    $romanizationPlacement().addEventListener('change', onRomanizationPlacement);
+    $btnExportWords().addEventListener('click', onExportWords);
+    $btnWordList().addEventListener('click', onShowWordList);
+    $backendUrl().addEventListener('change', onBackendUrlChange);
+    $apiKey().addEventListener('input', onApiKeyInput);
+    $btnTest().addEventListener('click', onTestConnection);
+    $exportFormat().addEventListener('change', onExportFormat);
+    $exportBilingual().addEventListener('change', onExportBilingual);
+    $btnExport().addEventListener('click', onExport);
+    $btnExportCorrections().addEventListener('click', onExportCorrections);
+    $btnExportConfig().addEventListener('click', onExportConfig);
+    $importConfig().addEventListener('change', onImportConfig);
+    $btnSiteAccess().addEventListener('click', onSiteAccess);
+    $logLevel().addEventListener('change', onLogLevel);
+    $btnRefreshDiagnostics().addEventListener('click', loadDiagnostics);
+    $btnCopyReport().addEventListener('click', onCopyReport);
+    $localFile().addEventListener('change', onLocalFile);
+    $btnClearLocal().addEventListener('click', onClearLocal);
+    $localOffset().addEventListener('input', onLocalOffset);
+    $transcriptSource().addEventListener('change', onTranscriptSource);
+    $captionTrack().addEventListener('change', onCaptionTrack);
+    $glossaryScope().addEventListener('change', onGlossaryScope);
+    $glossaryTerms().addEventListener('input', onGlossaryInput);
+    $glossaryDnt().addEventListener('input', onGlossaryInput);
+    $btnViolations().addEventListener('click', onShowViolations);
+    for (const field of $captionFields()) field.addEventListener('input', onCaptionStyleInput);
+    $btnResetStyle().addEventListener('click', onResetCaptionStyle);
+    $btnResetPosition().addEventListener('click', onResetCaptionPosition);
     $btn().addEventListener('click', onStartStop);
 
     // Keyboard niceties
@@ -236,17 +1326,74 @@
   };
 
   // ---------- Init ----------
-  const init = async () => {
+  const loadSettings = async () => {
     const initVals = await storageGet({
       [STORAGE_KEYS.enabled]: DEFAULTS[STORAGE_KEYS.enabled],
       [STORAGE_KEYS.language]: DEFAULTS[STORAGE_KEYS.language],
+      [STORAGE_KEYS.sourceLanguage]: DEFAULTS[STORAGE_KEYS.sourceLanguage],
       [STORAGE_KEYS.hint]: DEFAULTS[STORAGE_KEYS.hint],
+      [STORAGE_KEYS.display]: DEFAULTS[STORAGE_KEYS.display],
+      [STORAGE_KEYS.backendUrl]: DEFAULTS[STORAGE_KEYS.backendUrl],
+      [STORAGE_KEYS.apiKey]: DEFAULTS[STORAGE_KEYS.apiKey],
+      [STORAGE_KEYS.exportFormat]: DEFAULTS[STORAGE_KEYS.exportFormat],
+      [STORAGE_KEYS.exportBilingual]: DEFAULTS[STORAGE_KEYS.exportBilingual],
+      [STORAGE_KEYS.localOffset]: DEFAULTS[STORAGE_KEYS.localOffset],
+      [STORAGE_KEYS.transcriptSource]: DEFAULTS[STORAGE_KEYS.transcriptSource],
+      [STORAGE_KEYS.captionTrack]: DEFAULTS[STORAGE_KEYS.captionTrack],
+      [STORAGE_KEYS.transcriptPanel]: DEFAULTS[STORAGE_KEYS.transcriptPanel],
+      [STORAGE_KEYS.dubbing]: DEFAULTS[STORAGE_KEYS.dubbing],
+      [STORAGE_KEYS.dubbingOverflow]: DEFAULTS[STORAGE_KEYS.dubbingOverflow],
+      [STORAGE_KEYS.reading]: DEFAULTS[STORAGE_KEYS.reading],
+      [STORAGE_KEYS.readingCps]: DEFAULTS[STORAGE_KEYS.readingCps],
+      [STORAGE_KEYS.readingAdapt]: DEFAULTS[STORAGE_KEYS.readingAdapt],
+      [STORAGE_KEYS.vocabulary]: DEFAULTS[STORAGE_KEYS.vocabulary],
+      [STORAGE_KEYS.romanization]: DEFAULTS[STORAGE_KEYS.romanization],
+      [STORAGE_KEYS.romanizationPlacement]: DEFAULTS[STORAGE_KEYS.romanizationPlacement],
+      [STORAGE_KEYS.glossary]: DEFAULTS[STORAGE_KEYS.glossary],
+      [STORAGE_KEYS.hintProfiles]: DEFAULTS[STORAGE_KEYS.hintProfiles],
+      [STORAGE_KEYS.captionStyle]: DEFAULTS[STORAGE_KEYS.captionStyle],
+      [STORAGE_KEYS.logLevel]: DEFAULTS[STORAGE_KEYS.logLevel],
     });
     STATE.enabled = !!initVals[STORAGE_KEYS.enabled];
-    STATE.language = initVals[STORAGE_KEYS.language] || DEFAULTS[STORAGE_KEYS.language];
+    STATE.language = SST_LANGUAGES.get(initVals[STORAGE_KEYS.language])?.code || DEFAULTS[STORAGE_KEYS.language];
+    STATE.sourceLanguage = SST_LANGUAGES.get(initVals[STORAGE_KEYS.sourceLanguage])?.code || SST_LANGUAGES.AUTO;
     STATE.hint = initVals[STORAGE_KEYS.hint] || DEFAULTS[STORAGE_KEYS.hint];
+    STATE.display = initVals[STORAGE_KEYS.display] || DEFAULTS[STORAGE_KEYS.display];
+    STATE.backendUrl = initVals[STORAGE_KEYS.backendUrl] || DEFAULTS[STORAGE_KEYS.backendUrl];
+    STATE.apiKey = initVals[STORAGE_KEYS.apiKey] || DEFAULTS[STORAGE_KEYS.apiKey];
+    STATE.exportFormat = initVals[STORAGE_KEYS.exportFormat] || DEFAULTS[STORAGE_KEYS.exportFormat];
+    STATE.exportBilingual = !!initVals[STORAGE_KEYS.exportBilingual];
+    STATE.localOffset = Number(initVals[STORAGE_KEYS.localOffset]) || 0;
+    STATE.transcriptSource = initVals[STORAGE_KEYS.transcriptSource] || DEFAULTS[STORAGE_KEYS.transcriptSource];
+    STATE.captionTrack = initVals[STORAGE_KEYS.captionTrack] || DEFAULTS[STORAGE_KEYS.captionTrack];
+    STATE.transcriptPanel = !!initVals[STORAGE_KEYS.transcriptPanel];
+    STATE.dubbing = !!initVals[STORAGE_KEYS.dubbing];
+    STATE.dubbingOverflow = initVals[STORAGE_KEYS.dubbingOverflow] || DEFAULTS[STORAGE_KEYS.dubbingOverflow];
+    STATE.reading = !!initVals[STORAGE_KEYS.reading];
+    STATE.readingCps = Number(initVals[STORAGE_KEYS.readingCps]) || DEFAULTS[STORAGE_KEYS.readingCps];
+    STATE.readingAdapt = initVals[STORAGE_KEYS.readingAdapt] || DEFAULTS[STORAGE_KEYS.readingAdapt];
+    STATE.vocabulary = !!initVals[STORAGE_KEYS.vocabulary];
+    STATE.romanization = SST_TRANSLIT.SCHEMES.includes(initVals[STORAGE_KEYS.romanization])
+      ? initVals[STORAGE_KEYS.romanization] : 'off';
+    STATE.romanizationPlacement = initVals[STORAGE_KEYS.romanizationPlacement] === 'replace' ? 'replace' : 'below';
+    STATE.glossary = SST_GLOSSARY.normalize(initVals[STORAGE_KEYS.glossary]);
+    STATE.hintProfiles = SST_PROFILES.normalize(initVals[STORAGE_KEYS.hintProfiles]);
+    STATE.captionStyle = SST_CAPTION_STYLE.normalize(initVals[STORAGE_KEYS.captionStyle]);
+    STATE.logLevel = initVals[STORAGE_KEYS.logLevel] || DEFAULTS[STORAGE_KEYS.logLevel];
+  };
+
+  const init = async () => {
+    // The worker migrates on update too; whoever runs first does the work
+    await SST_SETTINGS.migrate().catch(err => console.warn('[POPUP] Settings migration failed', err));
+    await loadSettings();
     applyUI();
     bindEvents();
+    if (STATE.transcriptSource === 'youtube') loadCaptionTracks();
+    loadPageContext();
+    loadSiteAccess();
+    loadDiagnostics();
+    await loadStatus();
+    subscribeStatus();
   };
 
   document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,45 @@
+/* profiles.js — Semantic Subtitle Translator: hint profiles
+ * Responsibilities:
+ *  - Normalize named hint profiles and their channel/video bindings
+ *  - Resolve which hint applies to a video (video binding > channel binding > default hint)
+ * Loaded before content.js (manifest content_scripts) and by popup.html; exposed as `SST_PROFILES`.
+ */
+
+const SST_PROFILES = (() => {
+  const EMPTY = () => ({ profiles: [], bindings: { channels: {}, videos: {} } });
+
+  const newId = () => `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+  const normalize = (store) => {
+    const out = EMPTY();
+    const seen = new Set();
+    for (const p of Array.isArray(store?.profiles) ? store.profiles : []) {
+      const id = String(p?.id || '');
+      if (!id || seen.has(id)) continue;
+      seen.add(id);
+      out.profiles.push({ id, name: String(p.name || 'Untitled').trim() || 'Untitled', hint: String(p.hint || '') });
+    }
+    // bindings pointing at deleted profiles are dropped
+    for (const scope of ['channels', 'videos']) {
+      for (const [key, id] of Object.entries(store?.bindings?.[scope] || {})) {
+        if (seen.has(id)) out.bindings[scope][key] = id;
+      }
+    }
+    return out;
+  };
+
+  const hasChannelBindings = (store) => Object.keys(store?.bindings?.channels || {}).length > 0;
+
+  const find = (store, id) => (store?.profiles || []).find(p => p.id === id) || null;
+
+  const resolve = (store, { videoId, channelId } = {}, defaultHint = '') => {
+    // Returns { profile: {id,name,hint}|null, scope: 'video'|'channel'|'default', hint }
+    const byVideo = videoId && find(store, store?.bindings?.videos?.[videoId]);
+    if (byVideo) return { profile: byVideo, scope: 'video', hint: byVideo.hint };
+    const byChannel = channelId && find(store, store?.bindings?.channels?.[channelId]);
+    if (byChannel) return { profile: byChannel, scope: 'channel', hint: byChannel.hint };
+    return { profile: null, scope: 'default', hint: defaultHint };
+  };
+
+  return { EMPTY, newId, normalize, hasChannelBindings, find, resolve };
+})();
@@ -0,0 +1,109 @@
+/* segmenter.js — Semantic Subtitle Translator: sentence resegmentation
+ * Responsibilities:
+ *  - Merge caption fragments (auto-captions split sentences at arbitrary points) into whole
+ *    sentences before translation: break at sentence-final punctuation, at pauses, and at a
+ *    maximum duration/length so unpunctuated transcripts still yield bounded sentences
+ *  - Spread a translated sentence back over its fragments' time spans, proportionally to each
+ *    span's duration and cut at word (or, for unspaced text, grapheme) boundaries, so caption
+ *    timing stays that of the source
+ * Loaded before content.js (manifest content_scripts); exposed as `SST_SEGMENTER`.
+ */
+
+const SST_SEGMENTER = (() => {
+  const DEFAULTS = {
+    maxGapSec: 1.2,       // a longer silence between fragments ends the sentence
+    maxDurationSec: 10,   // never merge past this span
+    maxChars: 220         // …or this much source text
+  };
+
+  // Ends a sentence: . ! ? … plus CJK, Arabic/Urdu and Devanagari stops, optionally followed by
+  // closing quotes/brackets. A trailing "..." inside a fragment counts too.
+  const SENTENCE_END = /[.!?…。！？؟۔।॥]["'”’»)\]]*$/;
+
+  const endsSentence = (text) => SENTENCE_END.test(String(text || '').trim());
+
+  // ---------- Merge ----------
+  const merge = (lines, opts = {}) => {
+    // Returns [{ start, end, text, parts: [line] }] in input order; `lines` must be sorted by start
+    const o = { ...DEFAULTS, ...opts };
+    const out = [];
+    let cur = null;
+    const close = () => {
+      if (cur) out.push({ start: cur.parts[0].start, end: cur.end, text: cur.text, parts: cur.parts });
+      cur = null;
+    };
+    for (const ln of lines) {
+      const text = String(ln.text || '').trim();
+      const fits = cur
+        && ln.start - cur.end <= o.maxGapSec
+        && ln.end - cur.parts[0].start <= o.maxDurationSec
+        && cur.text.length + 1 + text.length <= o.maxChars;
+      if (!fits) close();
+      if (!cur) cur = { end: ln.end, text, parts: [ln] };
+      else {
+        cur.parts.push(ln);
+        cur.end = Math.max(cur.end, ln.end);
+        cur.text = text ? `${cur.text} ${text}`.trim() : cur.text;
+      }
+      if (endsSentence(text)) close();
+    }
+    close();
+    return out;
+  };
+
+  // ---------- Redistribute ----------
+  const spanWeights = (parts) => {
+    // Duration of each fragment; source length when timings are degenerate
+    const durations = parts.map(p => Math.max(0, p.end - p.start));
+    if (durations.some(d => d > 0)) return durations;
+    return parts.map(p => Math.max(1, String(p.text || '').length));
+  };
+
+  // Unspaced scripts (CJK, Thai…) are cut between grapheme clusters, never inside one: a
+  // Malayalam conjunct or a base + combining mark is several code points but one unit
+  const GRAPHEMES = typeof Intl !== 'undefined' && Intl.Segmenter
+    ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+    : null;
+  const graphemes = (text) => (GRAPHEMES ? Array.from(GRAPHEMES.segment(text), s => s.segment) : Array.from(text));
+
+  const split = (sentence, text) => {
+    // One { start, end, text, source } per fragment of `sentence`, sharing out `text`
+    const parts = sentence.parts;
+    const clean = String(text || '').trim();
+    const spaced = /\s/.test(clean);
+    const tokens = spaced ? clean.split(/\s+/) : graphemes(clean);
+    const piece = (p, t) => ({ start: p.start, end: p.end, text: t, source: p.text });
+    // Too few words to go round: every fragment shows the whole sentence
+    if (parts.length === 1 || tokens.length < parts.length) return parts.map(p => piece(p, clean));
+
+    const weights = spanWeights(parts);
+    const total = weights.reduce((a, b) => a + b, 0);
+    const lens = tokens.map(t => t.length);
+    const totalChars = lens.reduce((a, b) => a + b, 0);
+    const out = [];
+    let share = 0;
+    let taken = 0;
+    let next = 0;
+    parts.forEach((p, k) => {
+      share += weights[k];
+      const first = next;
+      if (k === parts.length - 1) next = tokens.length;
+      else {
+        // At least one token here, and one left for each remaining fragment; take the next token
+        // while its midpoint still falls inside this fragment's share of the text
+        const target = totalChars * share / total;
+        const last = tokens.length - (parts.length - k - 1);
+        do { taken += lens[next]; next += 1; } while (next < last && taken + lens[next] / 2 <= target);
+      }
+      out.push(piece(p, tokens.slice(first, next).join(spaced ? ' ' : '')));
+    });
+    return out;
+  };
+
+  const redistribute = (sentences, translated) => {
+    // `translated` is aligned one-to-one with `sentences` (SST_CONTRACT.alignTranslation)
+    return sentences.flatMap((s, i) => split(s, translated[i]?.text));
+  };
+
+  return { DEFAULTS, endsSentence, merge, split, redistribute };
+})();
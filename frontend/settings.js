@@ -0,0 +1,185 @@
+/* settings.js — Semantic Subtitle Translator: settings storage schema
+ * Responsibilities:
+ *  - Place each `sst_*` setting in its storage area: small prefs in chrome.storage.sync; large data
+ *    (glossary, hint profiles) and the API key in chrome.storage.local, away from the sync quotas
+ *    and from the user's other browsers
+ *  - Version the stored schema and migrate older layouts step by step (MIGRATIONS)
+ *  - Report sync quota overruns as a QuotaError (kind 'quota') instead of failing silently
+ *  - Export/import the whole configuration as JSON (secrets and per-device state left out, the
+ *    backend URL stripped of credentials and query); older schema versions go through the migrations
+ * Loaded by popup.html and by background.js (importScripts); exposed as `SST_SETTINGS`.
+ */
+
+const SST_SETTINGS = (() => {
+  const VERSION = 2;
+  const VERSION_KEY = 'sst_settings_version'; // chrome.storage.sync
+  const FORMAT = 'sst-config';
+  const PREFIX = 'sst_';
+  // chrome.storage.local; everything else is synced
+  const LOCAL_KEYS = ['sst_glossary', 'sst_hint_profiles', 'sst_api_key'];
+  // Never exported or imported: secrets, per-device state and bookkeeping
+  const PRIVATE_KEYS = ['sst_api_key', 'sst_caption_positions', 'sst_sites', VERSION_KEY];
+  // Exported without user:password@ and ?query, either of which may carry a token
+  const URL_KEYS = ['sst_backend_url'];
+  const SYNC_ITEM_BYTES = 8192; // chrome.storage.sync.QUOTA_BYTES_PER_ITEM
+
+  // Each step takes the flat { key: value } map of the previous version and returns the next.
+  // Storage and imported files both go through them, so a step must not assume a storage area.
+  const MIGRATIONS = [
+    // v1: first versioned layout; glossary and hint profiles move to local storage (see migrate)
+    { version: 1, up: (values) => values },
+    // v2: the API key moves to local storage too, so it isn't synced to every signed-in browser
+    { version: 2, up: (values) => values },
+  ];
+
+  class QuotaError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'QuotaError';
+      this.kind = 'quota';
+    }
+  }
+
+  const areaOf = (key) => (LOCAL_KEYS.includes(key) ? 'local' : 'sync');
+
+  const isSetting = (key) => key.startsWith(PREFIX) && !PRIVATE_KEYS.includes(key);
+
+  // ---------- Storage areas (localStorage when the extension API is missing, e.g. popup.html in a tab) ----------
+  const hasChrome = () => typeof chrome !== 'undefined' && !!chrome?.storage?.sync;
+
+  const areaGet = (area, keys) => {
+    // `keys`: { key: default } or null for everything
+    if (hasChrome()) {
+      return new Promise((resolve) => chrome.storage[area].get(keys, (res) => resolve(res || {})));
+    }
+    const names = keys ? Object.keys(keys) : Object.keys(localStorage).filter(k => k.startsWith(PREFIX));
+    const out = {};
+    for (const k of names) {
+      const raw = localStorage.getItem(k);
+      if (raw !== null) out[k] = JSON.parse(raw);
+      else if (keys) out[k] = keys[k];
+    }
+    return Promise.resolve(out);
+  };
+
+  const areaSet = (area, values) => {
+    if (!Object.keys(values).length) return Promise.resolve();
+    if (!hasChrome()) {
+      for (const [k, v] of Object.entries(values)) localStorage.setItem(k, JSON.stringify(v));
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => chrome.storage[area].set(values, () => {
+      const err = chrome.runtime?.lastError;
+      if (!err) return resolve();
+      reject(/quota/i.test(err.message || '') ? new QuotaError(`Browser ${area} storage is full (${err.message})`) : new Error(err.message));
+    }));
+  };
+
+  const areaRemove = (area, keys) => {
+    if (!keys.length) return Promise.resolve();
+    if (!hasChrome()) return Promise.resolve(); // one localStorage for both areas
+    return new Promise((resolve) => chrome.storage[area].remove(keys, () => resolve()));
+  };
+
+  const byArea = (values) => {
+    const out = { sync: {}, local: {} };
+    for (const [k, v] of Object.entries(values)) out[areaOf(k)][k] = v;
+    return out;
+  };
+
+  // ---------- Read/write ----------
+  const get = async (defaults) => {
+    // Same shape as chrome.storage.*.get({ key: default }), across both areas
+    const split = byArea(defaults);
+    const [sync, local] = await Promise.all([areaGet('sync', split.sync), areaGet('local', split.local)]);
+    return { ...sync, ...local };
+  };
+
+  const set = async (values) => {
+    const split = byArea(values);
+    for (const [k, v] of Object.entries(split.sync)) {
+      const bytes = k.length + JSON.stringify(v ?? null).length;
+      if (bytes > SYNC_ITEM_BYTES) {
+        throw new QuotaError(`${k} is ${Math.ceil(bytes / 1024)} KB; synced settings are limited to ${SYNC_ITEM_BYTES / 1024} KB each`);
+      }
+    }
+    await Promise.all([areaSet('sync', split.sync), areaSet('local', split.local)]);
+  };
+
+  // ---------- Migrations ----------
+  const migrateValues = (values, from) => MIGRATIONS
+    .filter(m => m.version > from)
+    .reduce((v, m) => m.up({ ...v }), values);
+
+  const migrate = async () => {
+    // Brings stored settings up to VERSION and into their areas; repeating it is harmless
+    const stored = Number((await areaGet('sync', { [VERSION_KEY]: 0 }))[VERSION_KEY]) || 0;
+    if (stored >= VERSION) return stored;
+    const [sync, local] = await Promise.all([areaGet('sync', null), areaGet('local', null)]);
+    const pick = (all, keep) => Object.fromEntries(Object.entries(all).filter(([k]) => keep(k)));
+    const values = migrateValues({
+      ...pick(local, k => LOCAL_KEYS.includes(k)), // not the worker's own local state (sst_sites)
+      ...pick(sync, k => k.startsWith(PREFIX) && k !== VERSION_KEY)
+    }, stored);
+    const split = byArea(values);
+    await areaSet('local', split.local);
+    await areaSet('sync', { ...split.sync, [VERSION_KEY]: VERSION });
+    // Only now drop the copies left in the wrong area
+    await areaRemove('sync', Object.keys(sync).filter(k => areaOf(k) === 'local'));
+    return VERSION;
+  };
+
+  // ---------- Export / import ----------
+  const scrubUrl = (raw) => {
+    // null when unparsable: better left out than exported as is
+    try {
+      const u = new URL(raw);
+      u.username = '';
+      u.password = '';
+      u.search = '';
+      u.hash = '';
+      return u.toString().replace(/\/+$/, '');
+    } catch {
+      return null;
+    }
+  };
+
+  const exportConfig = async () => {
+    const [sync, local] = await Promise.all([areaGet('sync', null), areaGet('local', null)]);
+    const settings = Object.fromEntries(Object.entries({ ...sync, ...local }).filter(([k]) => isSetting(k)));
+    for (const k of URL_KEYS) {
+      if (!(k in settings)) continue;
+      const url = scrubUrl(settings[k]);
+      if (url === null) delete settings[k];
+      else settings[k] = url;
+    }
+    return { format: FORMAT, version: VERSION, exportedAt: new Date().toISOString(), settings };
+  };
+
+  const parseConfig = (text) => {
+    // Returns the file's settings at the current schema version; throws on anything else
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('Not a JSON file.');
+    }
+    if (data?.format !== FORMAT || !data.settings || typeof data.settings !== 'object') {
+      throw new Error('Not a Semantic Subtitle Translator configuration.');
+    }
+    const version = Number(data.version) || 0;
+    if (version > VERSION) throw new Error(`Made by a newer version (schema ${version}); update the extension first.`);
+    const settings = Object.fromEntries(Object.entries(data.settings).filter(([k]) => isSetting(k)));
+    return migrateValues(settings, version);
+  };
+
+  const importConfig = async (text, review = async (settings) => settings) => {
+    // Settings missing from the file keep their current value; returns the number imported.
+    // `review` sees the parsed settings first and returns those to save (e.g. after asking the user)
+    const settings = await review(parseConfig(text));
+    await set(settings);
+    return Object.keys(settings).length;
+  };
+
+  return { VERSION, FORMAT, LOCAL_KEYS, QuotaError, get, set, migrate, exportConfig, parseConfig, importConfig };
+})();
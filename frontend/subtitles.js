@@ -0,0 +1,128 @@
+/* subtitles.js — Semantic Subtitle Translator: subtitle file formats
+ * Responsibilities:
+ *  - Serialize {start, end, text, source?} lines to SRT and WebVTT (optionally bilingual)
+ *  - Parse local SRT/WebVTT files into the same {start, end, text} shape /chunks returns
+ * Loaded before content.js (manifest content_scripts) and by popup.html; exposed as `SST_SUBTITLES`.
+ */
+
+const SST_SUBTITLES = (() => {
+  const FORMATS = {
+    srt: { ext: 'srt', mime: 'application/x-subrip' },
+    vtt: { ext: 'vtt', mime: 'text/vtt' },
+  };
+
+  // ---------- Timestamps ----------
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+
+  const formatTimestamp = (sec, msSep) => {
+    const totalMs = Math.max(0, Math.round(sec * 1000));
+    const h = Math.floor(totalMs / 3600000);
+    const m = Math.floor((totalMs % 3600000) / 60000);
+    const s = Math.floor((totalMs % 60000) / 1000);
+    return `${pad(h)}:${pad(m)}:${pad(s)}${msSep}${pad(totalMs % 1000, 3)}`;
+  };
+
+  const TIMESTAMP_RE = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?$/;
+
+  const parseTimestamp = (raw) => {
+    // Accepts SRT (00:01:02,500), WebVTT (01:02.500, 00:01:02.500) and lenient variants
+    const m = TIMESTAMP_RE.exec(String(raw).trim());
+    if (!m) return null;
+    const [, h = '0', mm, ss, frac = '0'] = m;
+    if (Number(mm) > 59 || Number(ss) > 59) return null;
+    return Number(h) * 3600 + Number(mm) * 60 + Number(ss) + Number(frac.padEnd(3, '0')) / 1000;
+  };
+
+  // ---------- Parsing ----------
+  const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', lrm: '\u200e', rlm: '\u200f' };
+
+  const cleanCueText = (raw) => raw
+    .replace(/\{\\[^}]*\}/g, '')              // ASS override tags sometimes found in SRT: {\an8}
+    .replace(/<\d+:\d{2}(?::\d{2})?\.\d{3}>/g, '') // WebVTT karaoke timestamps
+    .replace(/<\/?[a-z][^>]*>/gi, '')           // <b>, <i>, <font …>, <c.cls>, <v Speaker>, <ruby> …
+    .replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (whole, name) => {
+      if (name[0] === '#') {
+        const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return Number.isFinite(code) ? String.fromCodePoint(code) : whole;
+      }
+      return ENTITIES[name.toLowerCase()] ?? whole;
+    })
+    .split('\n')
+    .map(l => l.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join(' ');
+
+  const detectFormat = (text) => (/^WEBVTT(?:[ \t].*)?$/m.test(text.split('\n', 1)[0]) ? 'vtt' : 'srt');
+
+  const parse = (input, format) => {
+    // Returns cues sorted by start: [{ start, end, text }]; malformed blocks are skipped
+    const text = String(input || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const fmt = format || detectFormat(text);
+    const blocks = text.split(/\n[ \t]*\n+/);
+    const cues = [];
+    for (const block of blocks) {
+      const rows = block.split('\n').filter((r, i) => i > 0 || r.trim());
+      if (!rows.length) continue;
+      if (fmt === 'vtt' && /^(WEBVTT|NOTE|STYLE|REGION)\b/.test(rows[0])) continue;
+
+      // optional cue identifier (SRT index or WebVTT id) precedes the timing line
+      const timingIdx = rows.findIndex(r => r.includes('-->'));
+      if (timingIdx < 0 || timingIdx > 1) continue;
+      const [rawStart, rest = ''] = rows[timingIdx].split('-->');
+      const rawEnd = rest.trim().split(/\s+/)[0]; // drop WebVTT cue settings / SRT coordinates
+      const start = parseTimestamp(rawStart);
+      let end = parseTimestamp(rawEnd);
+      if (start === null || end === null) continue;
+      if (end <= start) end = start + 0.001; // zero/negative durations: keep the cue, make it valid
+
+      const body = cleanCueText(rows.slice(timingIdx + 1).join('\n'));
+      if (body) cues.push({ start, end, text: body });
+    }
+    return cues.sort((a, b) => a.start - b.start || a.end - b.end);
+  };
+
+  // ---------- Cue preparation ----------
+  const cueText = (ln, bilingual) => {
+    const text = String(ln.text || '').trim();
+    const source = String(ln.source || '').trim();
+    if (bilingual && source && source !== text) return `${source}\n${text}`;
+    return text;
+  };
+
+  const prepareCues = (lines, { bilingual = false } = {}) => {
+    // Sorted, non-empty, strictly positive durations; blank lines inside a cue would end it early
+    return (lines || [])
+      .filter(ln => typeof ln?.start === 'number' && typeof ln?.end === 'number')
+      .map(ln => ({
+        start: Math.max(0, ln.start),
+        end: Math.max(ln.end, ln.start + 0.001),
+        text: cueText(ln, bilingual).replace(/\r\n?/g, '\n').replace(/\n{2,}/g, '\n'),
+      }))
+      .filter(c => c.text)
+      .sort((a, b) => a.start - b.start);
+  };
+
+  // ---------- Serializers ----------
+  const toSrt = (lines, opts) => prepareCues(lines, opts)
+    .map((c, i) => `${i + 1}\n${formatTimestamp(c.start, ',')} --> ${formatTimestamp(c.end, ',')}\n${c.text}\n`)
+    .join('\n');
+
+  const escapeVtt = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  const toVtt = (lines, opts) => {
+    const cues = prepareCues(lines, opts)
+      .map(c => `${formatTimestamp(c.start, '.')} --> ${formatTimestamp(c.end, '.')}\n${escapeVtt(c.text)}\n`);
+    return ['WEBVTT\n', ...cues].join('\n');
+  };
+
+  const serialize = (format, lines, opts) => {
+    if (format === 'srt') return toSrt(lines, opts);
+    if (format === 'vtt') return toVtt(lines, opts);
+    throw new Error(`Unknown subtitle format: ${format}`);
+  };
+
+  return { FORMATS, formatTimestamp, parseTimestamp, cleanCueText, parse, toSrt, toVtt, serialize };
+})();
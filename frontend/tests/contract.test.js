@@ -0,0 +1,140 @@
+/* contract.test.js — SST_CONTRACT validators, alone and against backend/mock_server.py --violate.
+ * Run: node --test frontend/tests   (the mock-server cases are skipped without python3)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { spawn, spawnSync } = require('node:child_process');
+const { load } = require('./load.js');
+
+const C = load('contract.js', 'SST_CONTRACT');
+
+const lines = [
+  { id: 'v:0', start: 0, end: 2.2, text: 'Line 0' },
+  { id: 'v:1', start: 2.5, end: 4.7, text: 'Line 1' },
+  { id: 'v:2', start: 5, end: 7.2, text: 'Line 2' },
+];
+
+const violation = (re) => (err) => err instanceof C.ContractError && err.kind === 'contract' && re.test(err.message);
+
+test('parseChunks accepts v1 envelopes and pre-contract bare arrays', () => {
+  assert.deepEqual(C.parseChunks({ contract: 1, lines }), lines);
+  assert.deepEqual(C.parseChunks(lines.map(({ id, ...ln }) => ln)), lines.map(({ id, ...ln }) => ln));
+  assert.deepEqual(C.parseChunks({ lines: [] }), []);
+});
+
+test('parseChunks rejects wrong versions, bad timing, unsorted lines and duplicate ids', () => {
+  assert.throws(() => C.parseChunks({ contract: 99, lines }), violation(/unsupported contract version 99/));
+  assert.throws(() => C.parseChunks({ contract: 1 }), violation(/neither \{ contract, lines \} nor an array/));
+  assert.throws(() => C.parseChunks({ contract: 1, lines: [{ ...lines[0], end: -1 }] }), violation(/line 0 end is not a time/));
+  assert.throws(() => C.parseChunks([{ ...lines[1], end: 1 }]), violation(/line 0 ends before it starts/));
+  assert.throws(() => C.parseChunks({ contract: 1, lines: [...lines].reverse() }), violation(/line 1 starts before line 0/));
+  assert.throws(() => C.parseChunks({ contract: 1, lines: [lines[0], { ...lines[1], id: 'v:0' }] }), violation(/duplicate id "v:0"/));
+});
+
+test('checkLines reports every violation but quotes only the first few', () => {
+  const bad = Array.from({ length: 8 }, (_, i) => ({ start: 8 - i, end: 9, text: 'x' }));
+  assert.throws(() => C.checkLines('cache', bad), (err) => {
+    assert.equal(err.endpoint, 'cache');
+    assert.equal(err.violations.length, 7);
+    assert.match(err.message, /^cache broke contract v1: .*\(\+2 more\)$/);
+    return true;
+  });
+  assert.equal(C.checkLines('cache', lines), lines);
+});
+
+test('alignTranslation matches output lines by id in any order', () => {
+  const out = { contract: 1, lines: [{ id: 'v:2', text: 'two' }, { id: 'v:0', text: 'zero' }, { id: 'v:1', text: 'one' }] };
+  assert.deepEqual(C.alignTranslation(lines, out), [
+    { start: 0, end: 2.2, text: 'zero', source: 'Line 0' },
+    { start: 2.5, end: 4.7, text: 'one', source: 'Line 1' },
+    { start: 5, end: 7.2, text: 'two', source: 'Line 2' },
+  ]);
+});
+
+test('alignTranslation matches bare-array lines without ids by start', () => {
+  const input = lines.map(({ id, ...ln }) => ln);
+  const out = input.map(ln => ({ ...ln, text: ln.text.toUpperCase() })).reverse();
+  assert.deepEqual(C.alignTranslation(input, out).map(ln => ln.text), ['LINE 0', 'LINE 1', 'LINE 2']);
+  assert.throws(() => C.alignTranslation(input, [{ start: 9, end: 10, text: '?' }]), violation(/line 0 matches no input line/));
+});
+
+test('alignTranslation rejects dropped, duplicated, unknown and retimed lines', () => {
+  const translated = lines.map(({ id }) => ({ id, text: `t ${id}` }));
+  assert.throws(() => C.alignTranslation(lines, { contract: 1, lines: translated.slice(0, 2) }), violation(/1 of 3 input lines not translated/));
+  assert.throws(() => C.alignTranslation(lines, { contract: 1, lines: [...translated, translated[0]] }), violation(/input line 0 translated twice/));
+  assert.throws(() => C.alignTranslation(lines, [...translated, { id: 'v:9', text: 'x' }]), violation(/unknown id "v:9"/));
+  assert.throws(() => C.alignTranslation(lines, [{ ...translated[0], start: 1 }, ...translated.slice(1)]), violation(/line 0 changes the timing of input line 0/));
+  assert.throws(() => C.alignTranslation(lines, { contract: 99, lines: translated }), violation(/unsupported contract version 99/));
+  assert.throws(() => C.alignTranslation(lines, translated.slice(1), '/translate/stream'), violation(/^\/translate\/stream broke/));
+});
+
+test('withIds keeps unique source ids and numbers the rest', () => {
+  assert.deepEqual(C.withIds(lines).map(ln => ln.id), ['v:0', 'v:1', 'v:2']);
+  assert.deepEqual(C.withIds([lines[0], { ...lines[1], id: 'v:0' }, { start: 5, end: 6, text: 'x' }]).map(ln => ln.id), [0, 1, 2]);
+});
+
+// ---------- Against the mock server ----------
+const MOCK = path.join(__dirname, '..', '..', 'backend', 'mock_server.py');
+const hasPython = !spawnSync('python3', ['--version']).error;
+
+function startMock(args) {
+  // Resolves with { base, stop } once the server prints its address (--port 0: any free port)
+  return new Promise((resolve, reject) => {
+    const child = spawn('python3', [MOCK, '--port', '0', '--stream-delay', '0', ...args], { stdio: ['ignore', 'pipe', 'pipe'] });
+    const stop = () => new Promise((done) => {
+      if (child.exitCode !== null) return done();
+      child.once('exit', done);
+      child.kill();
+    });
+    let out = '';
+    child.stdout.on('data', (data) => {
+      out += data;
+      const m = /backend on (http:\/\/[^\s,]+)/.exec(out);
+      if (m) resolve({ base: m[1], stop });
+    });
+    child.once('error', reject);
+    child.once('exit', (code) => reject(new Error(`mock server exited (${code}): ${out}`)));
+  });
+}
+
+async function roundTrip(base) {
+  // { chunks, translate }: each the validated result or the thrown error
+  const settle = (promise) => promise.then(value => ({ value }), error => ({ error }));
+  const headers = { [C.HEADER]: String(C.VERSION), 'Content-Type': 'application/json' };
+  const chunks = await settle(fetch(`${base}/chunks?videoId=v&t=5&window=6`, { headers })
+    .then(res => res.json()).then(C.parseChunks));
+  const input = C.withIds(lines);
+  const translate = await settle(fetch(`${base}/translate`, {
+    method: 'POST', headers, body: JSON.stringify({ contract: C.VERSION, lines: input, target: 'de' })
+  }).then(res => res.json()).then(raw => C.alignTranslation(input, raw)));
+  return { chunks, translate };
+}
+
+const MODES = {
+  // --violate mode → [what /chunks should do, what /translate should do]
+  '': [null, null],
+  'drop-line': [null, /not translated/],
+  'duplicate-id': [null, /translated twice/],
+  'bad-timing': [/ends before it starts/, null],
+  unsorted: [/starts before line/, null],
+  version: [/unsupported contract version 99/, /unsupported contract version 99/],
+};
+
+for (const [mode, [chunksError, translateError]] of Object.entries(MODES)) {
+  test(`mock server ${mode ? `--violate ${mode}` : '(no violation)'} is caught by the validators`, { skip: !hasPython && 'python3 not found' }, async () => {
+    const mock = await startMock(mode ? ['--violate', mode] : []);
+    try {
+      const { chunks, translate } = await roundTrip(mock.base);
+      for (const [result, expected] of [[chunks, chunksError], [translate, translateError]]) {
+        if (expected) assert.ok(violation(expected)(result.error), String(result.error || 'no error'));
+        else assert.ifError(result.error);
+      }
+      if (!chunksError) assert.equal(chunks.value.length, 3);
+      if (!translateError) assert.deepEqual(translate.value.map(ln => ln.text), ['[de] Line 0', '[de] Line 1', '[de] Line 2']);
+    } finally {
+      await mock.stop();
+    }
+  });
+}
@@ -0,0 +1,21 @@
+/* load.js — test helper: evaluates one of the extension's script modules (`const SST_X = (() => {…})();`)
+ * and returns its export. The modules are plain scripts, not CommonJS, so they are wrapped in a
+ * function; `globals` stand in for whatever the page or worker would provide (chrome, localStorage).
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const ROOT = path.join(__dirname, '..');
+
+function load(file, name, globals = {}) {
+  const src = fs.readFileSync(path.join(ROOT, file), 'utf8');
+  const names = Object.keys(globals);
+  return new Function(...names, `${src}\n;return ${name};\n//# sourceURL=${file}`)(...Object.values(globals));
+}
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+module.exports = { load, fixture };
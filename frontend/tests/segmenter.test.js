@@ -0,0 +1,71 @@
+/* segmenter.test.js — SST_SEGMENTER: merging fragments into sentences and sharing translations back.
+ * Run: node --test frontend/tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./load.js');
+
+const S = load('segmenter.js', 'SST_SEGMENTER');
+
+const line = (start, end, text) => ({ start, end, text });
+const texts = (pieces) => pieces.map(p => p.text);
+
+test('merge joins fragments up to sentence-final punctuation, a pause or the limits', () => {
+  const sentences = S.merge([
+    line(0, 1, 'the quick'),
+    line(1.2, 2, 'brown fox.'),
+    line(2.1, 3, 'Then'),
+    line(5, 6, 'a pause'),
+  ]);
+  assert.deepEqual(sentences.map(s => [s.start, s.end, s.text, s.parts.length]), [
+    [0, 2, 'the quick brown fox.', 2],
+    [2.1, 3, 'Then', 1],               // the 2 s gap ends it
+    [5, 6, 'a pause', 1],
+  ]);
+  const long = Array.from({ length: 6 }, (_, i) => line(i * 3, i * 3 + 3, `part ${i}`));
+  assert.deepEqual(S.merge(long).map(s => s.parts.length), [3, 3]);       // maxDurationSec
+  assert.deepEqual(S.merge(long, { maxChars: 13 }).map(s => s.parts.length), [2, 2, 2]);
+  assert.equal(S.endsSentence('“Really?”'), true);
+  assert.equal(S.endsSentence('ഞാൻ വരും।'), true);
+  assert.equal(S.endsSentence('and then'), false);
+});
+
+test('split shares words out by each fragment’s duration', () => {
+  const [sentence] = S.merge([line(0, 3, 'a'), line(3, 4, 'b.')]);
+  assert.deepEqual(S.split(sentence, 'one two three four'), [
+    { start: 0, end: 3, text: 'one two three', source: 'a' },
+    { start: 3, end: 4, text: 'four', source: 'b.' },
+  ]);
+  // Every fragment gets at least one word, however short
+  const [uneven] = S.merge([line(0, 9.5, 'a'), line(9.5, 9.6, 'b'), line(9.6, 9.7, 'c.')]);
+  assert.deepEqual(texts(S.split(uneven, 'one two three four')), ['one two', 'three', 'four']);
+  // Degenerate timing: weighted by source length instead
+  const [instant] = S.merge([line(1, 1, 'a long first fragment'), line(1, 1, 'b.')]);
+  assert.deepEqual(texts(S.split(instant, 'one two three four')), ['one two three', 'four']);
+});
+
+test('split cuts unspaced text between grapheme clusters', () => {
+  const [sentence] = S.merge([line(0, 1, 'a'), line(1, 2, 'b'), line(2, 3, 'c.')]);
+  assert.deepEqual(texts(S.split(sentence, 'മലയാളം')), ['മല', 'യാ', 'ളം']);
+  assert.deepEqual(texts(S.split(sentence, 'കേരളം')), ['കേ', 'ര', 'ളം']);
+  assert.deepEqual(texts(S.split(sentence, 'こんにちは世界')), ['こん', 'にちは', '世界']);
+  for (const piece of S.split(sentence, 'തീവണ്ടിയിൽകുട്ടികൾ')) {
+    assert.doesNotMatch(piece.text, /^\p{M}/u, 'no fragment starts with a combining mark');
+  }
+});
+
+test('a single fragment, or too few words, shows the whole translation everywhere', () => {
+  const [one] = S.merge([line(0, 2, 'hello.')]);
+  assert.deepEqual(S.split(one, '  hallo Welt '), [{ start: 0, end: 2, text: 'hallo Welt', source: 'hello.' }]);
+  const [three] = S.merge([line(0, 1, 'a'), line(1, 2, 'b'), line(2, 3, 'c.')]);
+  assert.deepEqual(texts(S.split(three, 'ja gut')), ['ja gut', 'ja gut', 'ja gut']);
+  assert.deepEqual(texts(S.split(three, '')), ['', '', '']);
+});
+
+test('redistribute pairs sentences with translations in order', () => {
+  const sentences = S.merge([line(0, 3, 'a'), line(3, 4, 'b.'), line(4, 5, 'c.')]);
+  const out = S.redistribute(sentences, [{ text: 'eins zwei drei vier' }, { text: 'fünf' }]);
+  assert.deepEqual(out.map(p => [p.start, p.text]), [[0, 'eins zwei drei'], [3, 'vier'], [4, 'fünf']]);
+  assert.deepEqual(texts(S.redistribute(sentences, [])), ['', '', '']);
+});
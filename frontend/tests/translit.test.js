@@ -0,0 +1,65 @@
+/* translit.test.js — SST_TRANSLIT on a fixed Malayalam corpus, both schemes.
+ * Run: node --test frontend/tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./load.js');
+
+const T = load('translit.js', 'SST_TRANSLIT');
+
+const ZWJ = '\u200D';
+const ZWNJ = '\u200C';
+
+// [script, ISO 15919, Manglish]
+const CORPUS = [
+  ['മലയാളം', 'malayāḷaṁ', 'malayaalam'],
+  ['എന്റെ', 'eṉṟe', 'ente'],
+  ['ഞങ്ങൾ', 'ñaṅṅaḷ', 'njangal'],
+  ['അത്', 'atŭ', 'athu'],
+  ['കേരളം', 'kēraḷaṁ', 'keralam'],
+  ['വെള്ളം', 'veḷḷaṁ', 'vellam'],
+  ['കുട്ടി', 'kuṭṭi', 'kutti'],
+  ['പഴം', 'paḻaṁ', 'pazham'],
+  ['നന്ദി', 'nandi', 'nandi'],
+  ['ചായ', 'cāya', 'chaaya'],
+  ['മുറ്റം', 'muṟṟaṁ', 'muttam'],
+  ['ക്ഷമ', 'kṣama', 'kshama'],
+  ['തീവണ്ടി', 'tīvaṇṭi', 'theevandi'],
+  ['അമ്പലം', 'ampalaṁ', 'ambalam'],
+];
+
+const both = (text) => [T.transliterate(text, 'iso'), T.transliterate(text, 'manglish')];
+
+test('romanizes the corpus in both schemes', () => {
+  for (const [script, iso, manglish] of CORPUS) {
+    assert.deepEqual(both(script), [iso, manglish], script);
+  }
+});
+
+test('atomic and old-style (virama + ZWJ) chillus read the same', () => {
+  assert.deepEqual(both('അവൻ'), ['avan', 'avan']);
+  assert.deepEqual(both(`അവന്${ZWJ}`), ['avan', 'avan']);
+  assert.deepEqual(both(`ഞങ്ങള്${ZWJ}`), both('ഞങ്ങൾ'));
+  assert.deepEqual(both(`അവന്${ZWJ} വന്നു`), ['avan vannu', 'avan vannu']);
+});
+
+test('virama joins conjuncts and marks a word-final ŭ', () => {
+  assert.deepEqual(both('സ്നേഹം'), ['snēhaṁ', 'sneham']);         // conjunct: no vowel between
+  assert.deepEqual(both('ഇന്ന്'), ['innŭ', 'innu']);               // word-final chandrakkala
+  assert.deepEqual(both(`ക്${ZWNJ}ക`), ['kka', 'kka']);            // ZWNJ only shapes the glyph
+  assert.deepEqual(both('ഞാൻ ഇന്ന് വരും.'), ['ñān innŭ varuṁ.', 'njaan innu varum.']);
+});
+
+test('leaves non-Malayalam text alone and converts Malayalam digits', () => {
+  assert.deepEqual(both('൧൨ hello'), ['12 hello', '12 hello']);
+  assert.equal(T.transliterate(''), '');
+  assert.equal(T.transliterate(null), '');
+  assert.equal(T.transliterate('അത്'), 'atŭ'); // ISO by default
+});
+
+test('detects Malayalam script', () => {
+  assert.equal(T.hasMalayalam('hello മലയാളം'), true);
+  assert.equal(T.hasMalayalam('hello'), false);
+  assert.deepEqual(T.SCHEMES, ['iso', 'manglish']);
+});
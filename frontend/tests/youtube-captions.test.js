@@ -0,0 +1,77 @@
+/* youtube-captions.test.js — SST_YT_CAPTIONS against saved watch-page and timed-text fixtures.
+ * Run: node --test frontend/tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, fixture } = require('./load.js');
+
+const YT = load('youtube-captions.js', 'SST_YT_CAPTIONS');
+
+const playerResponse = YT.extractPlayerResponse(fixture('watch-page.html'));
+const tracks = YT.listTracks(playerResponse);
+
+test('extracts the player response from a watch page', () => {
+  assert.equal(playerResponse.videoDetails.videoId, 'dQw4w9WgXcQ');
+  // braces and quotes inside strings don't end the scan early
+  assert.match(playerResponse.videoDetails.shortDescription, /} \{\{ and "quoted"/);
+  assert.equal(YT.extractPlayerResponse('<html><script>var ytInitialData = {};</script></html>'), null);
+});
+
+test('lists manual and auto-generated tracks', () => {
+  assert.deepEqual(tracks.map(t => [t.id, t.languageCode, t.kind, t.label, t.pref]), [
+    ['.en', 'en', 'manual', 'English', 'en:manual'],
+    ['a.en', 'en', 'asr', 'English (auto-generated)', 'en:asr'],
+    ['.es-419', 'es-419', 'manual', 'Spanish (Latin America)', 'es-419:manual'],
+    ['a.de', 'de', 'asr', 'German (auto-generated)', 'de:asr'],
+  ]);
+  assert.deepEqual(YT.listTracks({}), []);
+});
+
+test('picks the preferred track, falling back by language then to a manual track', () => {
+  const pick = (pref) => YT.pickTrack(tracks, pref)?.id;
+  assert.equal(pick('en:manual'), '.en');
+  assert.equal(pick('en:asr'), 'a.en');
+  assert.equal(pick('de:manual'), 'a.de');   // same language, only auto-generated
+  assert.equal(pick('es:manual'), '.es-419'); // same base language
+  assert.equal(pick('fr:manual'), '.en');     // no French: first manual track
+  assert.equal(pick(''), '.en');
+  assert.equal(YT.pickTrack([], 'en:manual'), null);
+});
+
+test('builds timed-text URLs for relative and absolute base URLs', () => {
+  const url = new URL(YT.timedTextUrl(tracks[2], 'srv3'));
+  assert.equal(url.origin, 'https://www.youtube.com');
+  assert.equal(url.searchParams.get('lang'), 'es-419');
+  assert.equal(url.searchParams.get('fmt'), 'srv3');
+  assert.equal(new URL(YT.timedTextUrl(tracks[1])).searchParams.get('fmt'), 'json3');
+});
+
+test('parses json3, skipping append events and clipping rolling overlaps', () => {
+  assert.deepEqual(YT.parseTimedText(fixture('timedtext.json3')), [
+    { start: 0.16, end: 2.96, text: "so today we're talking" },
+    { start: 2.96, end: 7.16, text: 'about the claw grip' },
+    { start: 7.16, end: 9.16, text: '[Music]' },
+    { start: 9.5, end: 11.3, text: 'tuck your fingers & thumb' },
+  ]);
+  // an already-parsed object works too
+  assert.equal(YT.parseTimedText(JSON.parse(fixture('timedtext.json3'))).length, 4);
+});
+
+test('parses legacy XML, decoding its double escaping and sorting by start', () => {
+  assert.deepEqual(YT.parseTimedText(fixture('timedtext.xml')), [
+    { start: 0.16, end: 2.96, text: "So today we're talking" },
+    { start: 2.96, end: 7.16, text: 'about the claw grip.' },
+    { start: 9.5, end: 11.3, text: 'Tuck your fingers in.' },
+    { start: 12.5, end: 14, text: 'Fish & chips' },
+  ]);
+});
+
+test('parses srv3 (milliseconds, word spans)', () => {
+  assert.deepEqual(YT.parseTimedText(fixture('timedtext.srv3')), [
+    { start: 0.16, end: 2.96, text: "So today we're talking" },
+    { start: 2.96, end: 7.16, text: 'about the claw grip.' },
+    { start: 9.5, end: 11.3, text: 'Tuck your fingers in.' },
+  ]);
+  assert.deepEqual(YT.parseTimedText(''), []);
+});
@@ -0,0 +1,115 @@
+/* translit.js — Semantic Subtitle Translator: Malayalam romanization
+ * Responsibilities:
+ *  - Transliterate Malayalam script to Latin, client-side, in one of two schemes:
+ *    'iso'      ISO 15919 (ā, ṭ, ḷ, ḻ, ṟ, ṁ; word-final chandrakkala → ŭ)
+ *    'manglish' casual romanized Malayalam as people type it (aa, ee, zh, nj, tt, nte)
+ *  - Handle conjuncts (virama), chillu letters (atomic and ZWJ-encoded) and common clusters
+ *  - Leave anything that isn't Malayalam (Latin, digits, punctuation) untouched
+ * Loaded before content.js (manifest content_scripts) and by popup.html; exposed as `SST_TRANSLIT`.
+ */
+
+const SST_TRANSLIT = (() => {
+  const SCHEMES = ['iso', 'manglish'];
+  const VIRAMA = '്';
+  const ZWJ = '\u200D';
+  const ZWNJ = '\u200C';
+
+  // [iso, manglish]
+  const CONSONANTS = {
+    'ക': ['k', 'k'], 'ഖ': ['kh', 'kh'], 'ഗ': ['g', 'g'], 'ഘ': ['gh', 'gh'], 'ങ': ['ṅ', 'ng'],
+    'ച': ['c', 'ch'], 'ഛ': ['ch', 'chh'], 'ജ': ['j', 'j'], 'ഝ': ['jh', 'jh'], 'ഞ': ['ñ', 'nj'],
+    'ട': ['ṭ', 't'], 'ഠ': ['ṭh', 'th'], 'ഡ': ['ḍ', 'd'], 'ഢ': ['ḍh', 'dh'], 'ണ': ['ṇ', 'n'],
+    'ത': ['t', 'th'], 'ഥ': ['th', 'th'], 'ദ': ['d', 'd'], 'ധ': ['dh', 'dh'], 'ന': ['n', 'n'],
+    'പ': ['p', 'p'], 'ഫ': ['ph', 'f'], 'ബ': ['b', 'b'], 'ഭ': ['bh', 'bh'], 'മ': ['m', 'm'],
+    'യ': ['y', 'y'], 'ര': ['r', 'r'], 'റ': ['ṟ', 'r'], 'ല': ['l', 'l'], 'ള': ['ḷ', 'l'],
+    'ഴ': ['ḻ', 'zh'], 'വ': ['v', 'v'], 'ശ': ['ś', 'sh'], 'ഷ': ['ṣ', 'sh'], 'സ': ['s', 's'],
+    'ഹ': ['h', 'h'], 'ഩ': ['ṉ', 'n'], 'ഺ': ['ṯ', 't'],
+  };
+
+  // Clusters read as a unit, tried before single consonants (virama included)
+  const CLUSTERS = {
+    'റ്റ': ['ṟṟ', 'tt'],
+    'ന്റ': ['ṉṟ', 'nt'],
+    'ൻ്റ': ['ṉṟ', 'nt'],
+    'ഞ്ഞ': ['ññ', 'nj'],
+    'ങ്ങ': ['ṅṅ', 'ng'],
+    'ങ്ക': ['ṅk', 'nk'],
+    'ക്ഷ': ['kṣ', 'ksh'],
+    'ണ്ട': ['ṇṭ', 'nd'],
+    'മ്പ': ['mp', 'mb'],
+  };
+
+  const VOWELS = {
+    'അ': ['a', 'a'], 'ആ': ['ā', 'aa'], 'ഇ': ['i', 'i'], 'ഈ': ['ī', 'ee'], 'ഉ': ['u', 'u'],
+    'ഊ': ['ū', 'oo'], 'ഋ': ['r̥', 'ru'], 'ൠ': ['r̥̄', 'roo'], 'ഌ': ['l̥', 'lu'], 'ൡ': ['l̥̄', 'loo'],
+    'എ': ['e', 'e'], 'ഏ': ['ē', 'e'], 'ഐ': ['ai', 'ai'], 'ഒ': ['o', 'o'], 'ഓ': ['ō', 'o'],
+    'ഔ': ['au', 'au'],
+  };
+
+  const VOWEL_SIGNS = {
+    'ാ': ['ā', 'aa'], 'ി': ['i', 'i'], 'ീ': ['ī', 'ee'], 'ു': ['u', 'u'], 'ൂ': ['ū', 'oo'],
+    'ൃ': ['r̥', 'ru'], 'ൄ': ['r̥̄', 'roo'], 'െ': ['e', 'e'], 'േ': ['ē', 'e'], 'ൈ': ['ai', 'ai'],
+    'ൊ': ['o', 'o'], 'ോ': ['ō', 'o'], 'ൌ': ['au', 'au'], 'ൗ': ['au', 'au'],
+  };
+
+  // Chillus, anusvara, visarga, avagraha
+  const SIGNS = {
+    'ൺ': ['ṇ', 'n'], 'ൻ': ['n', 'n'], 'ർ': ['r', 'r'], 'ൽ': ['l', 'l'], 'ൾ': ['ḷ', 'l'], 'ൿ': ['k', 'k'],
+    'ൔ': ['m', 'm'], 'ൕ': ['y', 'y'], 'ൖ': ['ḻ', 'zh'],
+    'ം': ['ṁ', 'm'], 'ഃ': ['ḥ', 'h'], 'ഽ': ["'", ''],
+  };
+
+  // Word-final chandrakkala (samvruthokaram), e.g. അത് → atŭ / athu
+  const FINAL_U = ['ŭ', 'u'];
+
+  const isDigit = (ch) => ch >= '൦' && ch <= '൯';
+  const isMalayalamLetter = (ch) => !!ch && (ch in CONSONANTS || ch in VOWELS);
+
+  const consonantAt = (text, i, k) => {
+    // { roman, length } for the cluster or consonant starting at i, or null
+    for (const [seq, roman] of Object.entries(CLUSTERS)) {
+      if (text.startsWith(seq, i)) return { roman: roman[k], length: seq.length };
+    }
+    const c = CONSONANTS[text[i]];
+    return c ? { roman: c[k], length: 1 } : null;
+  };
+
+  const transliterate = (text, scheme = 'iso') => {
+    const k = scheme === 'manglish' ? 1 : 0;
+    const src = String(text || '');
+    let out = '';
+    let i = 0;
+    while (i < src.length) {
+      const ch = src[i];
+      const cons = consonantAt(src, i, k);
+      if (cons) {
+        i += cons.length;
+        const next = src[i];
+        if (next in VOWEL_SIGNS) {
+          out += cons.roman + VOWEL_SIGNS[next][k];
+          i += 1;
+        } else if (next === VIRAMA) {
+          i += 1;
+          // Virama + ZWJ spells an old-style chillu, never a final ŭ
+          const joined = src[i] === ZWJ;
+          while (src[i] === ZWJ || src[i] === ZWNJ) i += 1;
+          out += cons.roman + (joined || isMalayalamLetter(src[i]) ? '' : FINAL_U[k]);
+        } else {
+          out += `${cons.roman}a`;
+        }
+        continue;
+      }
+      if (ch in VOWELS) out += VOWELS[ch][k];
+      else if (ch in SIGNS) out += SIGNS[ch][k];
+      else if (ch in VOWEL_SIGNS) out += VOWEL_SIGNS[ch][k]; // stray sign (broken input)
+      else if (isDigit(ch)) out += String(ch.charCodeAt(0) - '൦'.charCodeAt(0));
+      else if (ch !== VIRAMA && ch !== ZWJ && ch !== ZWNJ) out += ch;
+      i += 1;
+    }
+    return out;
+  };
+
+  const hasMalayalam = (text) => /[\u0D00-\u0D7F]/.test(String(text || ''));
+
+  return { SCHEMES, transliterate, hasMalayalam };
+})();
@@ -0,0 +1,163 @@
+/* youtube-captions.js — Semantic Subtitle Translator: YouTube caption tracks
+ * Responsibilities:
+ *  - Extract the player response (ytInitialPlayerResponse) from a watch page's HTML
+ *  - List its caption tracks (manual vs auto-generated, per language) and pick one by preference
+ *  - Parse timed-text payloads (json3, srv3 and legacy XML) into {start, end, text} lines
+ * DOM-free on purpose so saved fixture pages/payloads can be fed straight in.
+ * Loaded before content.js (manifest content_scripts); exposed as `SST_YT_CAPTIONS`.
+ */
+
+const SST_YT_CAPTIONS = (() => {
+  const PLAYER_RESPONSE_MARKERS = ['ytInitialPlayerResponse = ', 'ytInitialPlayerResponse=', '"playerResponse":'];
+
+  // ---------- Player response ----------
+  const extractJsonObject = (text, from) => {
+    // Balanced-brace scan starting at the first `{` at/after `from`; respects JSON strings
+    const start = text.indexOf('{', from);
+    if (start < 0) return null;
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+      const ch = text[i];
+      if (inString) {
+        if (ch === '\\') i++;
+        else if (ch === '"') inString = false;
+      } else if (ch === '"') {
+        inString = true;
+      } else if (ch === '{') {
+        depth++;
+      } else if (ch === '}' && --depth === 0) {
+        return text.slice(start, i + 1);
+      }
+    }
+    return null;
+  };
+
+  const extractPlayerResponse = (html) => {
+    // Returns the parsed player response object, or null when the page has none
+    const text = String(html || '');
+    for (const marker of PLAYER_RESPONSE_MARKERS) {
+      let idx = text.indexOf(marker);
+      while (idx >= 0) {
+        const json = extractJsonObject(text, idx + marker.length);
+        try {
+          const obj = json && JSON.parse(json);
+          if (obj?.videoDetails || obj?.captions) return obj;
+        } catch {
+          // not the object we want (e.g. a minified reference); keep scanning
+        }
+        idx = text.indexOf(marker, idx + marker.length);
+      }
+    }
+    return null;
+  };
+
+  // ---------- Tracks ----------
+  const textOf = (label) => label?.simpleText ?? (label?.runs || []).map(r => r.text).join('');
+
+  const listTracks = (playerResponse) => {
+    // [{ id, baseUrl, languageCode, kind: 'manual'|'asr', label, pref }]
+    const raw = playerResponse?.captions?.playerCaptionsTracklistRenderer?.captionTracks || [];
+    return raw
+      .filter(t => t?.baseUrl && t?.languageCode)
+      .map(t => {
+        const kind = t.kind === 'asr' ? 'asr' : 'manual';
+        const name = textOf(t.name) || t.languageCode;
+        return {
+          id: t.vssId || `${kind === 'asr' ? 'a' : ''}.${t.languageCode}`,
+          baseUrl: t.baseUrl,
+          languageCode: t.languageCode,
+          kind,
+          label: kind === 'asr' && !/auto/i.test(name) ? `${name} (auto-generated)` : name,
+          pref: `${t.languageCode}:${kind}`,
+        };
+      });
+  };
+
+  const pickTrack = (tracks, pref = '') => {
+    // `pref` is "lang:kind" (e.g. "en:manual"); falls back to same language, then any manual track
+    if (!tracks?.length) return null;
+    const [lang, kind] = String(pref).split(':');
+    return tracks.find(t => t.languageCode === lang && t.kind === kind)
+      || tracks.find(t => lang && t.languageCode === lang)
+      || tracks.find(t => lang && t.languageCode.split('-')[0] === lang.split('-')[0])
+      || tracks.find(t => t.kind === 'manual')
+      || tracks[0];
+  };
+
+  const timedTextUrl = (track, fmt = 'json3', origin = 'https://www.youtube.com') => {
+    const u = new URL(track.baseUrl, origin);
+    u.searchParams.set('fmt', fmt);
+    return u.toString();
+  };
+
+  // ---------- Timed text ----------
+  const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+  const decodeEntities = (s) => s.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (whole, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : whole;
+    }
+    return ENTITIES[name.toLowerCase()] ?? whole;
+  });
+
+  const normalizeText = (s) => decodeEntities(String(s).replace(/<[^>]*>/g, ''))
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const finalizeLines = (lines) => {
+    // Sort and clip overlaps: auto-generated tracks roll, so each event runs into the next one
+    const out = lines
+      .filter(ln => ln.text && Number.isFinite(ln.start) && Number.isFinite(ln.end))
+      .sort((a, b) => a.start - b.start);
+    for (let i = 0; i < out.length - 1; i++) {
+      const next = out[i + 1].start;
+      if (out[i].end > next && next > out[i].start) out[i].end = next;
+    }
+    return out.map(ln => ({ ...ln, end: Math.max(ln.end, ln.start + 0.001) }));
+  };
+
+  const parseJson3 = (data) => finalizeLines((data?.events || [])
+    .filter(ev => Array.isArray(ev.segs) && !ev.aAppend)
+    .map(ev => {
+      const start = (ev.tStartMs || 0) / 1000;
+      return {
+        start,
+        end: start + (ev.dDurationMs || 0) / 1000,
+        text: normalizeText(ev.segs.map(seg => seg.utf8 || '').join('')),
+      };
+    }));
+
+  const attr = (attrs, name) => {
+    const m = new RegExp(`\\b${name}="([^"]*)"`).exec(attrs);
+    return m ? Number(m[1]) : NaN;
+  };
+
+  const parseXml = (xml) => {
+    const lines = [];
+    // legacy: <text start="1.2" dur="3.4">…</text> (seconds)
+    for (const m of xml.matchAll(/<text\b([^>]*)>([\s\S]*?)<\/text>/g)) {
+      const start = attr(m[1], 'start');
+      // this format double-escapes (&amp;#39;, &lt;i&gt;), so decode and strip markup once more
+      lines.push({ start, end: start + (attr(m[1], 'dur') || 0), text: normalizeText(normalizeText(m[2])) });
+    }
+    // srv3: <p t="1200" d="3400">…<s>word</s>…</p> (milliseconds)
+    for (const m of xml.matchAll(/<p\b([^>]*)>([\s\S]*?)<\/p>/g)) {
+      const start = attr(m[1], 't') / 1000;
+      lines.push({ start, end: start + (attr(m[1], 'd') || 0) / 1000, text: normalizeText(m[2]) });
+    }
+    return finalizeLines(lines);
+  };
+
+  const parseTimedText = (body) => {
+    // Accepts a json3 object, a json3 string or an XML string
+    if (body && typeof body === 'object') return parseJson3(body);
+    const text = String(body || '').trim();
+    if (!text) return [];
+    if (text[0] === '{') return parseJson3(JSON.parse(text));
+    return parseXml(text);
+  };
+
+  return { extractPlayerResponse, listTracks, pickTrack, timedTextUrl, parseTimedText };
+})();